@@ -0,0 +1,14 @@
+pragma solidity ^0.5.0;
+
+import "./Hub.sol";
+
+// A hub whose issuance never grows. Instead, the balances of its tokens lose
+// what inflation would have added each period, so the same parameters give
+// the same purchasing power as an inflating hub.
+contract DemurrageHub is Hub {
+    constructor(address _owner, uint256 _inflation, uint256 _period, string memory _symbol, uint256 _initialPayout, uint256 _initialIssuance, uint256 _chainId)
+    Hub(_owner, _inflation, _period, _symbol, _initialPayout, _initialIssuance, _chainId)
+    public {
+        demurrage = true;
+    }
+}
@@ -0,0 +1,85 @@
+pragma solidity ^0.5.0;
+
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/ERC20.sol";
+import "./interfaces/HubI.sol";
+
+// A currency shared by a group, e.g. a neighbourhood, backed 1:1 by the
+// personal tokens of its members. The group signs up to the hub as an
+// organization, and takes the tokens it trusts there as collateral, within
+// the same limits checkSendLimit puts on any transfer to it. Being an
+// organization, it can also pass on the collateral it holds as a hop in
+// transferThrough, which swaps one member's token for another and leaves
+// the backing as it was.
+contract GroupCurrency is ERC20 {
+    using SafeMath for uint256;
+
+    uint8 public decimals = 18;
+
+    string public name;
+    string public symbol;
+    address public hub;
+    address public owner;
+
+    event Mint(address indexed depositor, address indexed tokenOwner, uint256 amount);
+    event Redeem(address indexed redeemer, address indexed tokenOwner, uint256 amount);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner);
+        _;
+    }
+
+    constructor(address _hub, address _owner, string memory _name, string memory _symbol) public {
+        require(_owner != address(0));
+        hub = _hub;
+        owner = _owner;
+        name = _name;
+        symbol = _symbol;
+        HubI(hub).organizationSignup();
+    }
+
+    function changeOwner(address _newOwner) public onlyOwner returns (bool) {
+        require(_newOwner != address(0));
+        owner = _newOwner;
+        return true;
+    }
+
+    // Accepts user's token as collateral, a limit of 0 stops accepting it.
+    // What was deposited before can still be redeemed.
+    function trust(address user, uint limit) public onlyOwner {
+        HubI(hub).trust(user, limit);
+    }
+
+    // Accepts up to amount of user's token as collateral
+    function trustAmount(address user, uint amount) public onlyOwner {
+        HubI(hub).trustAmount(user, amount);
+    }
+
+    // Takes amount of tokenOwner's token from the sender, who has to have
+    // approved the group for it, and mints them as much of the group currency
+    function mint(address tokenOwner, uint256 amount) public returns (bool) {
+        uint256 max = HubI(hub).checkSendLimit(tokenOwner, msg.sender, address(this));
+        require(amount <= max, "Group does not accept this much of the token");
+        require(collateral(tokenOwner).transferFrom(msg.sender, address(this), amount));
+        _mint(msg.sender, amount);
+        emit Mint(msg.sender, tokenOwner, amount);
+        return true;
+    }
+
+    // Burns amount of the sender's group currency, and sends them as much of
+    // tokenOwner's token from the collateral
+    function redeem(address tokenOwner, uint256 amount) public returns (bool) {
+        IERC20 token = collateral(tokenOwner);
+        require(token.balanceOf(address(this)) >= amount, "Group does not hold this much of the token");
+        _burn(msg.sender, amount);
+        require(token.transfer(msg.sender, amount));
+        emit Redeem(msg.sender, tokenOwner, amount);
+        return true;
+    }
+
+    function collateral(address tokenOwner) internal view returns (IERC20) {
+        address token = HubI(hub).userToToken(tokenOwner);
+        require(token != address(0), "Token owner must have signed up");
+        return IERC20(token);
+    }
+}
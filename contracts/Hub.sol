@@ -2,6 +2,7 @@ pragma solidity ^0.5.0;
 
 import "openzeppelin-solidity/contracts/math/SafeMath.sol";
 import "./Token.sol";
+import "./TokenFactory.sol";
 
 contract Hub {
     using SafeMath for uint256;
@@ -15,14 +16,95 @@ contract Hub {
     uint256 public initialPayout;
     uint256 public initialIssuance;
     uint256 public deployedAt;
+    uint256 public maxHops;
+    // the most edges transferThroughFlow takes in one call
+    uint256 public maxFlowEdges;
+    // how long a proposed change to the monetary policy waits before it can
+    // be executed, so users see it coming
+    uint256 public parameterDelay;
+    uint256 public constant MAX_PARAMETER_DELAY = 30 days;
+    // fixed point numbers have 18 decimals
+    uint256 public constant WAD = 10 ** 18;
+    // In demurrage mode issuance stays at initialIssuance, and token balances
+    // decay by the inflation instead. Set by DemurrageHub, for good.
+    bool public demurrage;
+    // issuanceSums[p] is the issuance of every period before p added up, for
+    // as many periods as have been checkpointed. Tokens read whole periods
+    // from here instead of working each one out.
+    uint256[] public issuanceSums;
+    // Periods that haven't been checkpointed issue baseIssuance, compounded
+    // since basePeriod. A change to the inflation moves the base to the
+    // current period, so issuance carries on from where it is.
+    uint256 public basePeriod;
+    uint256 public baseIssuance;
+    // the longest stretch of UBI a token pays out in one update, counted back
+    // from the update. Anything older is forfeited. 0 for no limit.
+    uint256 public maxAccrual;
+    // Network totals for dashboards: users who signed up, trust edges with a
+    // limit above 0 (including everyone's trust in themselves), and all the
+    // tokens have minted, in the units of their Transfer events
+    uint256 public userCount;
+    uint256 public trustEdgeCount;
+    uint256 public totalMinted;
 
     mapping (address => Token) public userToToken;
     mapping (address => address) public tokenToUser;
+    mapping (address => bool) public organizations;
+    // Addresses that migrated their token away. Trust they didn't take along
+    // is still there, so they can't sign up or be migrated to again.
+    mapping (address => bool) public migrated;
     mapping (address => mapping (address => uint256)) public limits;
+    // when trust set with trustUntil runs out, 0 for trust that doesn't.
+    // Expired trust is left in limits, it just counts as 0.
+    mapping (address => mapping (address => uint256)) public expiries;
+    // true where limits holds an amount of the user's token, set with
+    // trustAmount, rather than a percentage of canSendTo's own supply
+    mapping (address => mapping (address => bool)) public absoluteLimits;
+    // Whom each user trusts, and who trusts them, for trust with a limit
+    // above 0, so contracts can list them. The indexes are the position in
+    // the list plus one, 0 for not in it.
+    mapping (address => address[]) internal trustingList;
+    mapping (address => address[]) internal trustedByList;
+    mapping (address => mapping (address => uint256)) internal trustingIndex;
+    mapping (address => mapping (address => uint256)) internal trustedByIndex;
+    // indexed by HubI.Action
+    mapping (uint8 => bool) public paused;
+    // signatures a user has used up, for signupFor, trustBySig and transferThroughBySig
+    mapping (address => uint256) public nonces;
+
+    // EIP-712. There is no chainid opcode in the EVM version we compile for,
+    // so the chain the hub is deployed on is passed to the constructor. With
+    // it in the domain, a signature for a hub at the same address on another
+    // chain (say kovan and xdai) can't be used here
+    uint256 public chainId;
+    bytes32 public DOMAIN_SEPARATOR;
+    bytes32 public constant DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant SIGNUP_TYPEHASH = keccak256("Signup(address user,string name,uint256 nonce,uint256 deadline)");
+    bytes32 public constant TRUST_TYPEHASH = keccak256("Trust(address canSendTo,address user,uint256 limit,uint256 nonce,uint256 deadline)");
+    bytes32 public constant TRANSFER_THROUGH_TYPEHASH = keccak256("TransferThrough(address from,address[] tokenOwners,address[] srcs,address[] dests,uint256[] wads,uint256 nonce,uint256 deadline)");
 
     event Signup(address indexed user, address token);
-    event Trust(address indexed canSendTo, address indexed user, uint256 limit);
+    event OrganizationSignup(address indexed organization);
+    event Trust(address indexed canSendTo, address indexed user, uint256 limit, uint256 expiry, bool absolute);
     event HubTransfer(address indexed from, address indexed to, uint256 amount);
+    event UpdateMany(address indexed caller, uint256 updated, uint256 skipped, uint256 payout);
+    event Paused(uint8 indexed action);
+    event Unpaused(uint8 indexed action);
+    event Migration(address indexed from, address indexed to, address token);
+
+    event ParameterChangeProposed(uint8 indexed parameter, uint256 value, uint256 executableAt);
+    event ParameterChangeCancelled(uint8 indexed parameter);
+    event ParameterChanged(uint8 indexed parameter, uint256 value);
+
+    enum Parameter { Inflation, Rate, Delay, MaxAccrual }
+
+    struct ParameterChange {
+        uint256 value;
+        uint256 executableAt;
+    }
+
+    // indexed by Parameter
+    mapping (uint8 => ParameterChange) public pendingChanges;
 
     struct transferValidator {
         address identity;
@@ -30,15 +112,17 @@ contract Hub {
         uint256 received;
     }
 
-    mapping (address => transferValidator) public validation;
-    address[] public seen;
-
     modifier onlyOwner() {
         require (msg.sender == owner);
         _;
     }
 
-    constructor(address _owner, uint256 _inflation, uint256 _period, string memory _symbol, uint256 _initialPayout, uint256 _initialIssuance) public {
+    modifier whenNotPaused(HubI.Action action) {
+        require(!paused[uint8(action)], "Action is paused");
+        _;
+    }
+
+    constructor(address _owner, uint256 _inflation, uint256 _period, string memory _symbol, uint256 _initialPayout, uint256 _initialIssuance, uint256 _chainId) public {
         require (_owner != address(0));
         owner = _owner;
         inflation = _inflation;
@@ -47,7 +131,20 @@ contract Hub {
         symbol = _symbol;
         initialPayout = _initialPayout;
         initialIssuance = _initialIssuance;
+        baseIssuance = _initialIssuance;
         deployedAt = block.timestamp;
+        maxHops = 5;
+        maxFlowEdges = 20;
+        parameterDelay = 2 days;
+        issuanceSums.push(0);
+        chainId = _chainId;
+        DOMAIN_SEPARATOR = keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes("Circles")),
+            keccak256(bytes("1")),
+            _chainId,
+            address(this)
+        ));
     }
 
     function findDivisor(uint256 _inf) internal pure returns (uint256) {
@@ -63,17 +160,74 @@ contract Hub {
     }
 
     function issuance() public view returns (uint256) {
-        return inflate(initialIssuance, periods());
+        return issuanceStep(periods());
     }
 
+    // The issuance of a period, as it was checkpointed, or as it will be
+    // with the current parameters if it hasn't been yet
     function issuanceStep(uint256 _periods) public view returns (uint256) {
-        return inflate(initialIssuance, _periods);
+        if (_periods < checkpointed()) {
+            return issuanceSums[_periods.add(1)].sub(issuanceSums[_periods]);
+        }
+        if (demurrage) {
+            return initialIssuance;
+        }
+        return inflate(baseIssuance, _periods.sub(basePeriod));
     }
 
     function inflate(uint256 _initial, uint256 _periods) public view returns (uint256) {
-        uint256 q = pow(inflation, _periods);
-        uint256 d = pow(divisor, _periods);
-        return (_initial.mul(q)).div(d);
+        return (_initial.mul(compound(_periods))).div(WAD);
+    }
+
+    // the inverse of inflate, what's left of _initial after _periods of demurrage
+    function deflate(uint256 _initial, uint256 _periods) public view returns (uint256) {
+        return (_initial.mul(WAD)).div(compound(_periods));
+    }
+
+    // (inflation / divisor) ^ _periods as a fixed point number. Raising
+    // inflation and divisor to the power separately overflows after a few
+    // dozen periods, this lasts for hundreds (about 700 at 7%).
+    function compound(uint256 _periods) public view returns (uint256) {
+        return rpow(inflation.mul(WAD).div(divisor), _periods);
+    }
+
+    // Records the issuance of every period that has started since the last
+    // checkpoint. Tokens call this when they update, so whoever is first in
+    // a new period pays for it once, for everyone, and the hub before any
+    // parameter change, so periods that have started keep their issuance.
+    function checkpoint() public returns (bool) {
+        uint256 current = periods();
+        for (uint256 p = issuanceSums.length - 1; p <= current; p++) {
+            issuanceSums.push(issuanceSums[p].add(issuanceStep(p)));
+        }
+        return true;
+    }
+
+    // the periods whose issuance has been checkpointed
+    function checkpointed() public view returns (uint256) {
+        return issuanceSums.length - 1;
+    }
+
+    // The issuance of periods _from up to (not including) _to added up.
+    // Periods that haven't been checkpointed yet are worked out one by one.
+    function issuanceBetween(uint256 _from, uint256 _to) public view returns (uint256) {
+        if (_to <= _from) {
+            return 0;
+        }
+        uint256 recorded = checkpointed();
+        if (_to <= recorded) {
+            return issuanceSums[_to].sub(issuanceSums[_from]);
+        }
+        uint256 sum = 0;
+        uint256 p = _from;
+        if (_from < recorded) {
+            sum = issuanceSums[recorded].sub(issuanceSums[_from]);
+            p = recorded;
+        }
+        for (; p < _to; p++) {
+            sum = sum.add(issuanceStep(p));
+        }
+        return sum;
     }
 
     function changeOwner(address _newOwner) public onlyOwner returns (bool) {
@@ -82,47 +236,349 @@ contract Hub {
         return true;
     }
 
-    function updateInflation(uint256 _inflation) public onlyOwner returns (bool) {
-        inflation = _inflation;
+    // Inflation, the issuance rate, the accrual window and the delay itself
+    // can only be changed by proposing the change, and executing it once the
+    // delay has passed
+    function proposeParameterChange(Parameter parameter, uint256 value) public onlyOwner returns (bool) {
+        checkParameter(parameter, value);
+        uint256 executableAt = time().add(parameterDelay);
+        pendingChanges[uint8(parameter)] = ParameterChange(value, executableAt);
+        emit ParameterChangeProposed(uint8(parameter), value, executableAt);
         return true;
     }
 
-    function updateRate(uint256 _initialIssuance) public onlyOwner returns (bool) {
-        initialIssuance = _initialIssuance;
+    function cancelParameterChange(Parameter parameter) public onlyOwner returns (bool) {
+        require(pendingChanges[uint8(parameter)].executableAt != 0, "No change proposed");
+        delete pendingChanges[uint8(parameter)];
+        emit ParameterChangeCancelled(uint8(parameter));
+        return true;
+    }
+
+    function executeParameterChange(Parameter parameter) public onlyOwner returns (bool) {
+        ParameterChange memory change = pendingChanges[uint8(parameter)];
+        require(change.executableAt != 0, "No change proposed");
+        require(time() >= change.executableAt, "Change is still timelocked");
+        // bounds are checked again, other parameters may have changed since
+        checkParameter(parameter, change.value);
+        delete pendingChanges[uint8(parameter)];
+        checkpoint();
+        if (parameter == Parameter.Inflation) {
+            basePeriod = periods();
+            baseIssuance = issuanceStep(basePeriod);
+            inflation = change.value;
+        } else if (parameter == Parameter.Rate) {
+            // scales the issuance of the periods to come, as if it had
+            // started at the new rate
+            baseIssuance = baseIssuance.mul(change.value).div(initialIssuance);
+            initialIssuance = change.value;
+        } else if (parameter == Parameter.Delay) {
+            parameterDelay = change.value;
+        } else {
+            maxAccrual = change.value;
+        }
+        emit ParameterChanged(uint8(parameter), change.value);
         return true;
     }
 
+    // Inflation is applied as inflation / divisor, and the divisor is fixed
+    // at deployment, so inflation has to stay at or above it (or issuance
+    // shrinks, down to 0 if inflation is 0), and below the next power of ten
+    // (or findDivisor would no longer agree with it)
+    function checkParameter(Parameter parameter, uint256 value) internal view {
+        if (parameter == Parameter.Inflation) {
+            // balances decay by the current inflation over every period since
+            // the hub deployed, so changing it would rewrite all of them
+            require(!demurrage, "Inflation can't change in demurrage mode");
+            require(value >= divisor, "Inflation must be at least the divisor");
+            require(findDivisor(value) == divisor, "Inflation must keep the same divisor");
+        } else if (parameter == Parameter.Rate) {
+            require(value > 0, "Issuance rate must be positive");
+        } else if (parameter == Parameter.Delay) {
+            require(value <= MAX_PARAMETER_DELAY, "Delay is too long");
+        }
+    }
+
     function updateSymbol(string memory _symbol) public onlyOwner returns (bool) {
         symbol = _symbol;
         return true;
     }
 
+    function updateMaxHops(uint256 _maxHops) public onlyOwner returns (bool) {
+        require(_maxHops > 0, "Paths need at least one hop");
+        maxHops = _maxHops;
+        return true;
+    }
+
+    function updateMaxFlowEdges(uint256 _maxFlowEdges) public onlyOwner returns (bool) {
+        require(_maxFlowEdges > 0, "Flows need at least one edge");
+        maxFlowEdges = _maxFlowEdges;
+        return true;
+    }
+
+    // Emergency stop, e.g. while a bug is being fixed. Token updates and
+    // transfers check the hub, so they can be stopped here as well
+    function pause(HubI.Action action) public onlyOwner returns (bool) {
+        require(!paused[uint8(action)], "Action is already paused");
+        paused[uint8(action)] = true;
+        emit Paused(uint8(action));
+        return true;
+    }
+
+    function unpause(HubI.Action action) public onlyOwner returns (bool) {
+        require(paused[uint8(action)], "Action is not paused");
+        paused[uint8(action)] = false;
+        emit Unpaused(uint8(action));
+        return true;
+    }
+
     function time() public view returns (uint256) { return block.timestamp; }
 
     // No exit allowed. Once you create a personal token, you're in for good.
-    function signup(string memory _name) public returns (bool) {
-        require(address(userToToken[msg.sender]) == address(0));
+    function signup(string memory _name) public whenNotPaused(HubI.Action.Signup) returns (bool) {
+        _signup(msg.sender, _name);
+        return true;
+    }
+
+    // Signs user up with a signature instead of a transaction from them, so
+    // someone else can pay the gas
+    function signupFor(address user, string memory _name, uint256 deadline, uint8 v, bytes32 r, bytes32 s) public whenNotPaused(HubI.Action.Signup) returns (bool) {
+        bytes32 structHash = keccak256(abi.encode(SIGNUP_TYPEHASH, user, keccak256(bytes(_name)), nonces[user], deadline));
+        useSignature(user, structHash, deadline, v, r, s);
+        _signup(user, _name);
+        return true;
+    }
+
+    function _signup(address user, string memory _name) internal {
+        require(address(userToToken[user]) == address(0));
+        require(!organizations[user], "Organizations can't have a token");
+        require(!migrated[user], "Migrated addresses can't sign up again");
 
-        Token token = new Token(msg.sender, _name, initialPayout);
-        userToToken[msg.sender] = token;
-        tokenToUser[address(token)] = msg.sender;
-        _trust(msg.sender, 100);
+        Token token = TokenFactory.deploy(user, _name, initialPayout);
+        userToToken[user] = token;
+        tokenToUser[address(token)] = user;
+        userCount = userCount.add(1);
+        totalMinted = totalMinted.add(demurrage ? inflate(initialPayout, periods()) : initialPayout);
+        _trust(user, user, 100, 0, false);
 
-        emit Signup(msg.sender, address(token));
+        emit Signup(user, address(token));
+    }
+
+    // the profile user set on their token, empty if they have no token
+    function metadata(address user) public view returns (string memory uri, bytes32 hash) {
+        Token token = userToToken[user];
+        if (address(token) == address(0)) {
+            return (uri, hash);
+        }
+        return (token.metadataURI(), token.metadataHash());
+    }
+
+    // Organizations (shops, cooperatives...) can trust and hold circles, but
+    // don't get a token of their own, so they never mint UBI
+    function organizationSignup() public whenNotPaused(HubI.Action.Signup) returns (bool) {
+        require(address(userToToken[msg.sender]) == address(0), "Users with a token can't become organizations");
+        require(!organizations[msg.sender], "Already signed up as an organization");
+        require(!migrated[msg.sender], "Migrated addresses can't sign up again");
+        organizations[msg.sender] = true;
+
+        emit OrganizationSignup(msg.sender);
         return true;
     }
 
     // Trust does not have to be reciprocated.
     // (e.g. I can trust you but you don't have to trust me)
-    function trust(address user, uint limit) public {
-        require(address(userToToken[msg.sender]) != address(0), "You can only trust people after you've signed up!");
-        require(msg.sender != user, "You can't untrust yourself");
-        _trust(user, limit);
+    // limit is the percentage of your own token's supply you accept of user's
+    function trust(address user, uint limit) public whenNotPaused(HubI.Action.Trust) {
+        checkTrust(msg.sender, user);
+        checkPercentage(limit);
+        _trust(msg.sender, user, limit, 0, false);
+    }
+
+    // Accepts up to amount of user's token, whatever your own supply is
+    function trustAmount(address user, uint amount) public whenNotPaused(HubI.Action.Trust) {
+        checkTrust(msg.sender, user);
+        _trust(msg.sender, user, amount, 0, true);
+    }
+
+    // Trust that counts as 0 once expiry (a timestamp) has passed, e.g. for
+    // guests or trial members
+    function trustUntil(address user, uint limit, uint256 expiry) public whenNotPaused(HubI.Action.Trust) {
+        checkTrust(msg.sender, user);
+        checkPercentage(limit);
+        require(expiry > time(), "Expiry must be in the future");
+        _trust(msg.sender, user, limit, expiry, false);
+    }
+
+    // Sets canSendTo's trust in user with canSendTo's signature
+    function trustBySig(address canSendTo, address user, uint limit, uint256 deadline, uint8 v, bytes32 r, bytes32 s) public whenNotPaused(HubI.Action.Trust) {
+        bytes32 structHash = keccak256(abi.encode(TRUST_TYPEHASH, canSendTo, user, limit, nonces[canSendTo], deadline));
+        useSignature(canSendTo, structHash, deadline, v, r, s);
+        checkTrust(canSendTo, user);
+        checkPercentage(limit);
+        _trust(canSendTo, user, limit, 0, false);
     }
 
-    function _trust(address user, uint limit) internal {
-        limits[msg.sender][user] = limit;
-        emit Trust(msg.sender, user, limit);
+    function checkTrust(address canSendTo, address user) internal view {
+        require(address(userToToken[canSendTo]) != address(0) || organizations[canSendTo], "You can only trust people after you've signed up!");
+        require(canSendTo != user, "You can't untrust yourself");
+    }
+
+    function checkPercentage(uint limit) internal pure {
+        require(limit <= 100, "Trust limit must be a percentage from 0 to 100");
+    }
+
+    function _trust(address canSendTo, address user, uint limit, uint256 expiry, bool absolute) internal {
+        if (limits[canSendTo][user] == 0 && limit > 0) {
+            trustEdgeCount = trustEdgeCount.add(1);
+            addToList(trustingList[canSendTo], trustingIndex[canSendTo], user);
+            addToList(trustedByList[user], trustedByIndex[user], canSendTo);
+        } else if (limits[canSendTo][user] > 0 && limit == 0) {
+            trustEdgeCount = trustEdgeCount.sub(1);
+            removeFromList(trustingList[canSendTo], trustingIndex[canSendTo], user);
+            removeFromList(trustedByList[user], trustedByIndex[user], canSendTo);
+        }
+        limits[canSendTo][user] = limit;
+        expiries[canSendTo][user] = expiry;
+        absoluteLimits[canSendTo][user] = absolute;
+        emit Trust(canSendTo, user, limit, expiry, absolute);
+    }
+
+    function addToList(address[] storage list, mapping (address => uint256) storage index, address entry) internal {
+        list.push(entry);
+        index[entry] = list.length;
+    }
+
+    // moves the last entry into the place of the removed one, so the order
+    // of a list changes as trust is removed
+    function removeFromList(address[] storage list, mapping (address => uint256) storage index, address entry) internal {
+        uint256 i = index[entry] - 1;
+        address last = list[list.length - 1];
+        list[i] = last;
+        index[last] = i + 1;
+        list.length--;
+        delete index[entry];
+    }
+
+    // Up to count of the users user trusts, starting at offset. Expired
+    // trust is listed until it is removed, and everyone trusts themselves.
+    function trusting(address user, uint256 offset, uint256 count) public view returns (address[] memory) {
+        return page(trustingList[user], offset, count);
+    }
+
+    // Up to count of the users and organizations that trust user, starting
+    // at offset
+    function trustedBy(address user, uint256 offset, uint256 count) public view returns (address[] memory) {
+        return page(trustedByList[user], offset, count);
+    }
+
+    function trustingCount(address user) public view returns (uint256) {
+        return trustingList[user].length;
+    }
+
+    function trustedByCount(address user) public view returns (uint256) {
+        return trustedByList[user].length;
+    }
+
+    function page(address[] storage list, uint256 offset, uint256 count) internal view returns (address[] memory result) {
+        if (offset >= list.length) {
+            return result;
+        }
+        if (count > list.length - offset) {
+            count = list.length - offset;
+        }
+        result = new address[](count);
+        for (uint256 i = 0; i < count; i++) {
+            result[i] = list[offset + i];
+        }
+    }
+
+    // canSendTo's limit for user, or 0 if it has expired
+    function trustLimit(address canSendTo, address user) public view returns (uint256) {
+        uint256 expiry = expiries[canSendTo][user];
+        if (expiry != 0 && time() > expiry) {
+            return 0;
+        }
+        return limits[canSendTo][user];
+    }
+
+    // Checks that signer signed structHash in the hub's domain before the
+    // deadline, and uses up their nonce so it can't be submitted again
+    function useSignature(address signer, bytes32 structHash, uint256 deadline, uint8 v, bytes32 r, bytes32 s) internal {
+        require(block.timestamp <= deadline, "Signature expired");
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash));
+        address recovered = ecrecover(digest, v, r, s);
+        require(recovered != address(0) && recovered == signer, "Invalid signature");
+        nonces[signer] = nonces[signer].add(1);
+    }
+
+    // Moves the sender's token, and the trust they give and get, to a new
+    // address, e.g. from a lost key, or from an account to a Safe. Only the
+    // current owner can do this, for a Safe that means a transaction signed
+    // by its owners. Moving every entry of trusting and trustedBy could take
+    // more gas than a block has, so the caller passes both lists in, entries
+    // not passed stay behind.
+    // UBI that wasn't minted yet goes to the new owner as well. It changes
+    // trust, so it is paused along with trust changes.
+    function migrate(address newOwner, address[] memory trusted, address[] memory trusters) public whenNotPaused(HubI.Action.Trust) {
+        Token token = userToToken[msg.sender];
+        require(address(token) != address(0), "Only users with a token can migrate");
+        require(newOwner != address(0), "Can't migrate to the zero address");
+        require(address(userToToken[newOwner]) == address(0) && !organizations[newOwner], "New owner has already signed up");
+        require(!migrated[newOwner], "New owner has migrated away before");
+
+        userToToken[newOwner] = token;
+        delete userToToken[msg.sender];
+        migrated[msg.sender] = true;
+        tokenToUser[address(token)] = newOwner;
+        token.changeOwner(newOwner);
+
+        // trust between the old and new address would land on newOwner's
+        // self trust, so it stays behind
+        moveTrust(msg.sender, msg.sender, newOwner, newOwner);
+        for (uint i = 0; i < trusted.length; i++) {
+            if (trusted[i] != msg.sender && trusted[i] != newOwner) {
+                moveTrust(msg.sender, trusted[i], newOwner, trusted[i]);
+            }
+        }
+        for (uint i = 0; i < trusters.length; i++) {
+            if (trusters[i] != msg.sender && trusters[i] != newOwner) {
+                moveTrust(trusters[i], msg.sender, trusters[i], newOwner);
+            }
+        }
+
+        emit Migration(msg.sender, newOwner, address(token));
+    }
+
+    function moveTrust(address canSendTo, address user, address newCanSendTo, address newUser) internal {
+        uint256 limit = limits[canSendTo][user];
+        if (limit == 0) return;
+        uint256 expiry = expiries[canSendTo][user];
+        bool absolute = absoluteLimits[canSendTo][user];
+        _trust(canSendTo, user, 0, 0, false);
+        _trust(newCanSendTo, newUser, limit, expiry, absolute);
+    }
+
+    // Tokens report what they mint on update here, for totalMinted
+    function recordMint(uint256 amount) public returns (bool) {
+        require(tokenToUser[msg.sender] != address(0), "Only tokens of this hub can record mints");
+        totalMinted = totalMinted.add(amount);
+        return true;
+    }
+
+    // Mints the UBI owed to each user, so relayers can top up many tokens in
+    // one transaction. Users without a token, or with nothing owed, are
+    // skipped rather than reverting the whole batch.
+    function updateMany(address[] memory users) public {
+        uint256 updated = 0;
+        uint256 payout = 0;
+        for (uint i = 0; i < users.length; i++) {
+            Token token = userToToken[users[i]];
+            if (address(token) == address(0)) continue;
+            uint256 gift = token.update();
+            if (gift == 0) continue;
+            updated = updated.add(1);
+            payout = payout.add(gift);
+        }
+        emit UpdateMany(msg.sender, updated, users.length.sub(updated), payout);
     }
 
     function pow(uint256 base, uint256 exponent) public pure returns (uint256) {
@@ -149,18 +605,43 @@ contract Hub {
         return base.mul(y);
     }
 
+    // x ^ n for a fixed point x, by squaring, rounding every product
+    function rpow(uint256 x, uint256 n) public pure returns (uint256) {
+        uint256 z = n.mod(2) != 0 ? x : WAD;
+        for (n = n.div(2); n != 0; n = n.div(2)) {
+            x = wmul(x, x);
+            if (n.mod(2) != 0) {
+                z = wmul(z, x);
+            }
+        }
+        return z;
+    }
+
+    function wmul(uint256 x, uint256 y) internal pure returns (uint256) {
+        return (x.mul(y).add(WAD.div(2))).div(WAD);
+    }
+
     function checkSendLimit(address tokenOwner, address src, address dest) public view returns (uint256) {
-        // there is no trust
-        if (limits[dest][tokenOwner] == 0) {
+        // there is no trust, or it has expired
+        uint256 limit = trustLimit(dest, tokenOwner);
+        if (limit == 0) {
             return 0;
         }
+        bool absolute = absoluteLimits[dest][tokenOwner];
+        // organizations accept all of a token they trust, unless they set an amount
+        if (organizations[dest] && !absolute) {
+            if (address(userToToken[tokenOwner]) == address(0)) {
+                return 0;
+            }
+            return userToToken[tokenOwner].balanceOf(src);
+        }
         // if dest hasn't signed up, they cannot trust anyone
-        if (address(userToToken[dest]) == address(0)) {
+        if (address(userToToken[dest]) == address(0) && !organizations[dest]) {
             return 0;
         }
 
         // if the token doesn't exist, return max
-        uint256 max = (userToToken[dest].totalSupply().mul(limits[dest][tokenOwner])).div(100);
+        uint256 max = absolute ? limit : (userToToken[dest].totalSupply().mul(limit)).div(100);
         if (address(userToToken[tokenOwner]) == address(0)) {
             return max;
         }
@@ -177,72 +658,132 @@ contract Hub {
         return max.sub(destBalance);
     }
 
+    // position of user in the first count entries of seen, or count if
+    // they aren't there yet
+    function findValidator(transferValidator[] memory seen, uint256 count, address user) internal pure returns (uint256) {
+        for (uint i = 0; i < count; i++) {
+            if (seen[i].identity == user) return i;
+        }
+        return count;
+    }
+
     // build the data structures we will use for validation
-    // if we haven't seen the addresses, add them to the validation mapping
+    // if we haven't seen the addresses, add them to seen
     // if we have, increment their sent/received amounts
-    function buildValidationData(address src, address dest, uint wad) internal {
-        if (validation[src].identity != address(0)) {
-            validation[src].sent = validation[src].sent.add(wad);
-        } else {
-            validation[src].identity = src;
-            validation[src].sent = wad;
-            seen.push(src);
+    // returns how many addresses we have seen so far
+    function buildValidationData(transferValidator[] memory seen, uint256 count, address src, address dest, uint wad) internal pure returns (uint256) {
+        uint256 i = findValidator(seen, count, src);
+        if (i == count) {
+            seen[count].identity = src;
+            count += 1;
         }
-        if (validation[dest].identity != address(0)) {
-            validation[dest].received = validation[dest].received.add(wad);
-        } else {
-            validation[dest].identity = dest;
-            validation[dest].received = wad; 
-            seen.push(dest);   
+        seen[i].sent = seen[i].sent.add(wad);
+        i = findValidator(seen, count, dest);
+        if (i == count) {
+            seen[count].identity = dest;
+            count += 1;
         }
+        seen[i].received = seen[i].received.add(wad);
+        return count;
     }
 
-    function validateTransferThrough(uint256 steps) internal {
+    // returns who the path sends to
+    function validateTransferThrough(transferValidator[] memory seen, uint256 count, uint256 steps, address sender) internal returns (address) {
         // a valid path has only one true sender and reciever, for all other
         // addresses in the path, sent = received
-        // also, the sender should be msg.sender
-        address src;
-        address dest;
-        for (uint i = 0; i < seen.length; i++) {
-            transferValidator memory curr = validation[seen[i]];
+        // also, the sender should be msg.sender, or whoever signed the path
+        uint256 src = count;
+        uint256 dest = count;
+        for (uint i = 0; i < count; i++) {
+            transferValidator memory curr = seen[i];
             if (curr.sent > curr.received) {
-                require(src == address(0), "Path sends from more than one src");
-                require(curr.identity == msg.sender, "Path doesn't send from transaction sender");
-                src = curr.identity;
+                require(src == count, "Path sends from more than one src");
+                require(curr.identity == sender, "Path doesn't send from transaction sender");
+                src = i;
             }
             if (curr.received > curr.sent) {
-                require(dest == address(0), "Path sends to more than one dest");
-                dest = curr.identity;
+                require(dest == count, "Path sends to more than one dest");
+                dest = i;
             }
         }
-        require(src != address(0), "Transaction must have a src");
-        require(dest != address(0), "Transaction must have a dest");
+        require(src != count, "Transaction must have a src");
+        require(dest != count, "Transaction must have a dest");
         // sender should not recieve, recipient should not send
-        require(validation[src].received == 0, "Sender is receiving");
-        require(validation[dest].sent == 0, "Recipient is sending");
+        require(seen[src].received == 0, "Sender is receiving");
+        require(seen[dest].sent == 0, "Recipient is sending");
         // the total amounts sent and received by src and dest should match
-        require(validation[src].sent == validation[dest].received, "Unequal sent and received amounts");
+        require(seen[src].sent == seen[dest].received, "Unequal sent and received amounts");
         // the maximum amount of addresses we should see is one more than steps in the path
-        require(seen.length <= steps + 1, "Seen too many addresses");
-        emit HubTransfer(src, dest, validation[src].sent);
-        // clean up the validation datastructures
-        for (uint i = seen.length; i >= 1; i--) {
-            validation[seen[i-1]].sent = 0;
-            validation[seen[i-1]].received = 0;
-            validation[seen[i-1]].identity = address(0);
-            seen.pop();
+        require(count <= steps + 1, "Seen too many addresses");
+        emit HubTransfer(seen[src].identity, seen[dest].identity, seen[src].sent);
+        return seen[dest].identity;
+    }
+
+    // Sends one token straight from the sender to dest. Unlike the token's own
+    // transfer this respects trust limits, and unlike a one-hop transferThrough
+    // it doesn't need to validate a path
+    function transferToken(address tokenOwner, address dest, uint256 wad) public whenNotPaused(HubI.Action.HubTransfer) {
+        require(address(userToToken[tokenOwner]) != address(0), "Token owner must have signed up");
+        if (tokenOwner != dest) {
+            uint256 max = checkSendLimit(tokenOwner, msg.sender, dest);
+            require(wad <= max, "Trust limit exceeded");
         }
-        // sanity check that we cleaned everything up correctly
-        require(seen.length == 0, "Seen should be empty");
+        userToToken[tokenOwner].hubTransfer(msg.sender, dest, wad);
+        emit HubTransfer(msg.sender, dest, wad);
     }
 
     // Walks through tokenOwners, srcs, dests, and amounts array and
     // executes transtive transfer - also validates path
-    function transferThrough(address[] memory tokenOwners, address[] memory srcs, address[] memory dests, uint[] memory wads) public {
-        require(srcs.length <= 5, "Too complex path");
+    function transferThrough(address[] memory tokenOwners, address[] memory srcs, address[] memory dests, uint[] memory wads) public whenNotPaused(HubI.Action.HubTransfer) {
+        _transferThrough(msg.sender, tokenOwners, srcs, dests, wads);
+    }
+
+    // transferThrough for a path from signed, submitted by anyone
+    function transferThroughBySig(address from, address[] memory tokenOwners, address[] memory srcs, address[] memory dests, uint[] memory wads, uint256 deadline, uint8 v, bytes32 r, bytes32 s) public whenNotPaused(HubI.Action.HubTransfer) {
+        useSignature(from, transferThroughHash(from, tokenOwners, srcs, dests, wads, deadline), deadline, v, r, s);
+        _transferThrough(from, tokenOwners, srcs, dests, wads);
+    }
+
+    // EIP-712 encodes arrays as the hash of their elements, each padded to 32 bytes
+    function transferThroughHash(address from, address[] memory tokenOwners, address[] memory srcs, address[] memory dests, uint[] memory wads, uint256 deadline) internal view returns (bytes32) {
+        return keccak256(abi.encode(
+            TRANSFER_THROUGH_TYPEHASH,
+            from,
+            keccak256(abi.encodePacked(tokenOwners)),
+            keccak256(abi.encodePacked(srcs)),
+            keccak256(abi.encodePacked(dests)),
+            keccak256(abi.encodePacked(wads)),
+            nonces[from],
+            deadline
+        ));
+    }
+
+    function _transferThrough(address sender, address[] memory tokenOwners, address[] memory srcs, address[] memory dests, uint[] memory wads) internal {
+        require(srcs.length <= maxHops, "Too complex path");
+        (transferValidator[] memory seen, uint256 count) = executeSteps(tokenOwners, srcs, dests, wads);
+        validateTransferThrough(seen, count, srcs.length, sender);
+    }
+
+    // Sends along a flow graph, given as a list of edges, e.g. one that splits
+    // at the sender and joins again at to (A->B->D plus A->C->D). Every
+    // address other than the sender and to has to pass on all it receives.
+    // The edges run in the order given, so one that passes on a token has to
+    // come after the one it arrives with, and all of them go through or none.
+    function transferThroughFlow(address to, address[] memory tokenOwners, address[] memory srcs, address[] memory dests, uint[] memory wads) public whenNotPaused(HubI.Action.HubTransfer) {
+        require(srcs.length <= maxFlowEdges, "Too many edges");
+        (transferValidator[] memory seen, uint256 count) = executeSteps(tokenOwners, srcs, dests, wads);
+        require(validateTransferThrough(seen, count, srcs.length, msg.sender) == to, "Flow doesn't end at to");
+    }
+
+    // Moves every step's tokens, after checking trust limits, and returns the
+    // amounts each address sent and received for validation
+    function executeSteps(address[] memory tokenOwners, address[] memory srcs, address[] memory dests, uint[] memory wads) internal returns (transferValidator[] memory, uint256) {
         require(dests.length == tokenOwners.length, "Tokens array length must equal dests array");
         require(srcs.length == tokenOwners.length, "Tokens array length must equal srcs array");
         require(wads.length == tokenOwners.length, "Tokens array length must equal amounts array");
+        // every step adds at most two addresses we haven't seen before
+        transferValidator[] memory seen = new transferValidator[](srcs.length.mul(2));
+        uint256 count = 0;
         for (uint i = 0; i < srcs.length; i++) {
             address src = srcs[i];
             address dest = dests[i];
@@ -256,11 +797,11 @@ contract Hub {
                 require(userToToken[token].balanceOf(dest) + wad <= max, "Trust limit exceeded");
             }
 
-            buildValidationData(src, dest, wad);
+            count = buildValidationData(seen, count, src, dest, wad);
 
             userToToken[token].hubTransfer(src, dest, wad);
         }
-        validateTransferThrough(srcs.length);
+        return (seen, count);
     }
 }
 
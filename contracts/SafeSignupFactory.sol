@@ -0,0 +1,59 @@
+pragma solidity ^0.5.0;
+
+import "./interfaces/HubI.sol";
+import "./interfaces/ProxyFactoryI.sol";
+
+// Deploys a Safe for a new user and signs it up to the hub in the same
+// transaction, so there is never a Safe without a token. The Safe is a proxy
+// from the ProxyFactory, deployed with CREATE2, so its address only depends
+// on its owners, threshold, token name and a salt nonce, and can be worked
+// out before it exists (see src/safeSignup.js).
+contract SafeSignupFactory {
+    address public hub;
+    address public proxyFactory;
+    // the GnosisSafe every proxy delegates to
+    address public masterCopy;
+    // this factory, which signup never runs as
+    address public self;
+
+    event SafeSignup(address indexed safe, address token);
+
+    constructor(address _hub, address _proxyFactory, address _masterCopy) public {
+        require(_hub != address(0) && _proxyFactory != address(0) && _masterCopy != address(0));
+        hub = _hub;
+        proxyFactory = _proxyFactory;
+        masterCopy = _masterCopy;
+        self = address(this);
+    }
+
+    function deploySafe(address[] memory owners, uint256 threshold, string memory name, uint256 saltNonce) public returns (address safe) {
+        safe = ProxyFactoryI(proxyFactory).createProxyWithNonce(masterCopy, initializer(owners, threshold, name), saltNonce);
+        // CREATE2 to an address that is taken gives 0 instead of reverting
+        address token = HubI(hub).userToToken(safe);
+        require(token != address(0), "Safe already exists");
+        emit SafeSignup(safe, token);
+    }
+
+    // The call that sets the new Safe up. Safes delegatecall a contract of
+    // their choice at the end of their setup, this one calls signup from there.
+    function initializer(address[] memory owners, uint256 threshold, string memory name) public view returns (bytes memory) {
+        return abi.encodeWithSignature(
+            "setup(address[],uint256,address,bytes,address,uint256,address)",
+            owners,
+            threshold,
+            address(this),
+            abi.encodeWithSignature("signup(address,string)", hub, name),
+            address(0),
+            0,
+            address(0)
+        );
+    }
+
+    // Runs as the Safe, in the Safe's storage, so the hub is passed in rather
+    // than read from this contract. Only the factory's own storage holds its
+    // address in self, so calling it on the factory directly throws.
+    function signup(address _hub, string memory name) public {
+        require(address(this) != self, "Only callable from a Safe's setup");
+        require(HubI(_hub).signup(name), "Signup failed");
+    }
+}
@@ -15,6 +15,29 @@ contract Token is ERC20 {
     address public owner;
     uint256 public inflationOffset;
     uint256 public currentIssuance;
+    // In demurrage mode balances are stored in the units of the hub's first
+    // period, and shown decayed by every period since. Storing them this way
+    // means nothing has to be written when a period rolls over.
+    bool public demurrage;
+
+    // EIP-2612, in the same EIP-712 domain shape as the hub's, with the
+    // chainId the hub was deployed with
+    bytes32 public DOMAIN_SEPARATOR;
+    bytes32 public constant PERMIT_TYPEHASH = keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+    mapping (address => uint256) public nonces;
+
+    // OpenZeppelin 2.1.1 keeps allowances private and has no internal
+    // _approve, so permit couldn't set them. The token keeps its own.
+    mapping (address => mapping (address => uint256)) private allowances;
+
+    // Where the owner's profile is (an IPFS CID or a URL), and the hash of
+    // what is there, so wallets can check what they fetched
+    string public metadataURI;
+    bytes32 public metadataHash;
+
+    // UBI older than the hub's maxAccrual that update no longer pays out
+    event Forfeited(address indexed owner, uint256 amount);
+    event MetadataUpdated(address indexed owner, string uri, bytes32 hash);
 
     modifier onlyHub() {
         require(msg.sender == hub);
@@ -26,15 +49,28 @@ contract Token is ERC20 {
         _;
     }
 
+    modifier whenNotPaused(HubI.Action action) {
+        require(!HubI(hub).paused(uint8(action)), "Action is paused");
+        _;
+    }
+
     constructor(address _owner, string memory _name, uint256 initialPayout) public {
         require(_owner != address(0));
         name = _name;
         owner = _owner;
         hub = msg.sender;
+        demurrage = HubI(hub).demurrage();
         lastTouched = time();
         inflationOffset = findInflationOffset();
         currentIssuance = HubI(hub).issuance();
-        _mint(_owner, initialPayout);
+        _mint(_owner, toStored(initialPayout));
+        DOMAIN_SEPARATOR = keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+            keccak256(bytes(_name)),
+            keccak256(bytes("1")),
+            HubI(hub).chainId(),
+            address(this)
+        ));
     }
 
     function time() public view returns (uint) {
@@ -73,47 +109,168 @@ contract Token is ERC20 {
         return ((period().mul(periods().add(1))).add(hubDeploy())).sub(time());
     }
 
+    // The payout since lastTouched, or only for the last maxAccrual seconds
+    // if it has been longer than that
     function look() public view returns (uint256) {
-        uint256 payout = 0;
-        uint256 clock = lastTouched;
-        uint256 offset = inflationOffset;
-        uint256 rate = currentIssuance;
-        uint256 p = periodsLastTouched();
-        while (clock.add(offset) <= time()) {
-            payout = payout.add(offset.mul(rate));
-            clock = clock.add(offset);
-            offset = period();
-            p = p.add(1);
-            rate = HubI(hub).issuanceStep(p);
+        (uint256 payout, ) = payouts();
+        return payout;
+    }
+
+    // what look leaves out because it is older than the accrual window
+    function forfeited() public view returns (uint256) {
+        (, uint256 lost) = payouts();
+        return lost;
+    }
+
+    // where the payout starts, lastTouched unless the accrual window is shorter
+    function accrualStart() public view returns (uint256) {
+        uint256 window = HubI(hub).maxAccrual();
+        if (window == 0 || time().sub(lastTouched) <= window) {
+            return lastTouched;
         }
+        return time().sub(window);
+    }
+
+    function payouts() internal view returns (uint256 payout, uint256 lost) {
+        uint256 full = accrued(lastTouched, inflationOffset, currentIssuance);
+        uint256 start = accrualStart();
+        if (start == lastTouched) {
+            return (full, 0);
+        }
+        uint256 p = start.sub(hubDeploy()).div(period());
+        uint256 offset = period().mul(p.add(1)).add(hubDeploy()).sub(start);
+        uint256 rate = p == periodsLastTouched() ? currentIssuance : HubI(hub).issuanceStep(p);
+        payout = accrued(start, offset, rate);
+        return (payout, full.sub(payout));
+    }
+
+    // The payout from clock until now: the rest of the period clock is in at
+    // rate, the whole periods since, and what has passed of the current one.
+    // The whole periods come from the hub's checkpoints, so this doesn't grow
+    // with the time the token sat untouched.
+    function accrued(uint256 clock, uint256 offset, uint256 rate) internal view returns (uint256) {
+        if (clock.add(offset) > time()) {
+            return time().sub(clock).mul(rate);
+        }
+        uint256 payout = offset.mul(rate);
+        uint256 p = clock.sub(hubDeploy()).div(period()).add(1);
+        uint256 current = periods();
+        payout = payout.add(HubI(hub).issuanceBetween(p, current).mul(period()));
+        clock = clock.add(offset).add(current.sub(p).mul(period()));
         uint256 timePassed = time().sub(clock);
-        payout = payout.add(timePassed.mul(rate));
+        payout = payout.add(timePassed.mul(HubI(hub).issuanceStep(current)));
         return payout;
     }
 
-    function update() public returns (uint256) {
-        uint256 gift = look();
+    function update() public whenNotPaused(HubI.Action.TokenUpdate) returns (uint256) {
+        HubI(hub).checkpoint();
+        (uint256 gift, uint256 lost) = payouts();
         if (gift > 0) {
             inflationOffset = findInflationOffset();
             lastTouched = time();
             currentIssuance = HubI(hub).issuance();
-            _mint(owner, gift);
+            uint256 minted = toStored(gift);
+            _mint(owner, minted);
+            HubI(hub).recordMint(minted);
         }
+        if (lost > 0) {
+            emit Forfeited(owner, lost);
+        }
+        return gift;
+    }
+
+    function toStored(uint256 value) internal view returns (uint256) {
+        return demurrage ? HubI(hub).inflate(value, periods()) : value;
+    }
+
+    function toShown(uint256 value) internal view returns (uint256) {
+        return demurrage ? HubI(hub).deflate(value, periods()) : value;
+    }
+
+    function balanceOf(address account) public view returns (uint256) {
+        return toShown(super.balanceOf(account));
+    }
+
+    function totalSupply() public view returns (uint256) {
+        return toShown(super.totalSupply());
+    }
+
+    // the hub moves tokens to a new owner when they migrate
+    function changeOwner(address _owner) public onlyHub returns (bool) {
+        require(_owner != address(0));
+        owner = _owner;
+        return true;
+    }
+
+    function updateMetadata(string memory uri, bytes32 hash) public onlyOwner returns (bool) {
+        metadataURI = uri;
+        metadataHash = hash;
+        emit MetadataUpdated(owner, uri, hash);
+        return true;
     }
 
     function hubTransfer(
         address from, address to, uint256 amount
     ) public onlyHub returns (bool) {
-        _transfer(from, to, amount);
+        _transfer(from, to, toStored(amount));
     }
 
-    function transfer(address dst, uint wad) public returns (bool) {
+    function transfer(address dst, uint wad) public whenNotPaused(HubI.Action.TokenTransfer) returns (bool) {
         // this totally redundant code is covering what I believe is weird compiler
         // eccentricity, making gnosis's revert message not correctly return the gas
         // when this function only super() calls the inherited contract
         if (msg.sender == owner) {
             owner = msg.sender;
         }
-        return super.transfer(dst, wad);
+        _transfer(msg.sender, dst, toStored(wad));
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 value) public whenNotPaused(HubI.Action.TokenTransfer) returns (bool) {
+        uint256 remaining = allowances[from][msg.sender].sub(value);
+        _transfer(from, to, toStored(value));
+        _approve(from, msg.sender, remaining);
+        return true;
+    }
+
+    function allowance(address _owner, address spender) public view returns (uint256) {
+        return allowances[_owner][spender];
+    }
+
+    function approve(address spender, uint256 value) public returns (bool) {
+        _approve(msg.sender, spender, value);
+        return true;
+    }
+
+    function increaseAllowance(address spender, uint256 addedValue) public returns (bool) {
+        _approve(msg.sender, spender, allowances[msg.sender][spender].add(addedValue));
+        return true;
+    }
+
+    function decreaseAllowance(address spender, uint256 subtractedValue) public returns (bool) {
+        _approve(msg.sender, spender, allowances[msg.sender][spender].sub(subtractedValue));
+        return true;
+    }
+
+    // Approves spender with a signature from _owner instead of a transaction,
+    // so whoever submits it pays the gas
+    function permit(address _owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) public {
+        require(block.timestamp <= deadline, "Permit expired");
+        bytes32 digest = keccak256(abi.encodePacked(
+            "\x19\x01",
+            DOMAIN_SEPARATOR,
+            keccak256(abi.encode(PERMIT_TYPEHASH, _owner, spender, value, nonces[_owner], deadline))
+        ));
+        address recovered = ecrecover(digest, v, r, s);
+        require(recovered != address(0) && recovered == _owner, "Invalid signature");
+        nonces[_owner] = nonces[_owner].add(1);
+        _approve(_owner, spender, value);
+    }
+
+    function _approve(address _owner, address spender, uint256 value) internal {
+        require(spender != address(0));
+        require(_owner != address(0));
+        allowances[_owner][spender] = value;
+        emit Approval(_owner, spender, value);
     }
 }
@@ -0,0 +1,12 @@
+pragma solidity ^0.5.0;
+
+import "./Token.sol";
+
+// The hub calls this with delegatecall, so the tokens it deploys still see
+// the hub as their creator, but the hub doesn't have to carry their
+// bytecode and stays under the contract size limit
+library TokenFactory {
+    function deploy(address _owner, string memory _name, uint256 initialPayout) public returns (Token) {
+        return new Token(_owner, _name, initialPayout);
+    }
+}
@@ -1,8 +1,14 @@
 pragma solidity ^0.5.0;
 
 contract HubI {
+    // what the hub owner can pause, each separately
+    enum Action { Signup, Trust, HubTransfer, TokenUpdate, TokenTransfer }
+
     function issuance() public view returns (uint256);
     function issuanceStep(uint256) public view returns (uint256);
+    function issuanceBetween(uint256, uint256) public view returns (uint256);
+    function checkpoint() public returns (bool);
+    function recordMint(uint256) public returns (bool);
     function inflation() public view returns (uint256);
     function divisor() public view returns (uint256);
     function period() public view returns (uint256);
@@ -12,5 +18,16 @@ contract HubI {
     function decimals() public view returns (uint8);
     function symbol() public view returns (string memory);
     function deployedAt() public view returns (uint256);
+    function maxAccrual() public view returns (uint256);
     function inflate(uint256, uint256) public view returns (uint256);
+    function deflate(uint256, uint256) public view returns (uint256);
+    function demurrage() public view returns (bool);
+    function chainId() public view returns (uint256);
+    function paused(uint8) public view returns (bool);
+    function userToToken(address) public view returns (address);
+    function signup(string memory) public returns (bool);
+    function organizationSignup() public returns (bool);
+    function trust(address, uint) public;
+    function trustAmount(address, uint) public;
+    function checkSendLimit(address, address, address) public view returns (uint256);
 }
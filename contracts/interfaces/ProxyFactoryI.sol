@@ -0,0 +1,8 @@
+pragma solidity ^0.5.0;
+
+// The parts of the Gnosis Safe ProxyFactory (@circles/safe-contracts) that
+// SafeSignupFactory uses. Proxies are returned as plain addresses.
+contract ProxyFactoryI {
+    function createProxyWithNonce(address, bytes memory, uint256) public returns (address);
+    function proxyCreationCode() public pure returns (bytes memory);
+}
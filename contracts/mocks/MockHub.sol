@@ -2,17 +2,9 @@ pragma solidity ^0.5.0;
 import "../Hub.sol";
 
 contract MockHub is Hub {
-    constructor(address _owner, uint256 _inflation, uint256 _period, string memory _symbol, uint256 _initialPayout, uint256 _startingRate)
-    Hub(_owner, _inflation, _period, _symbol, _initialPayout, _startingRate)
+    constructor(address _owner, uint256 _inflation, uint256 _period, string memory _symbol, uint256 _initialPayout, uint256 _startingRate, uint256 _chainId)
+    Hub(_owner, _inflation, _period, _symbol, _initialPayout, _startingRate, _chainId)
     public {
 
     }
-
-    function getSeen() public view returns (uint256) {
-        return seen.length;
-    }
-
-    function getValidation(address user) public view returns (address, uint256, uint256) {
-        return (validation[user].identity, validation[user].sent, validation[user].received);
-    }
 }
\ No newline at end of file
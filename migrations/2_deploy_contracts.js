@@ -1,6 +1,13 @@
 const Hub = artifacts.require('./Hub.sol');
+const MockHub = artifacts.require('./mocks/MockHub.sol');
+const DemurrageHub = artifacts.require('./DemurrageHub.sol');
+const TokenFactory = artifacts.require('./TokenFactory.sol');
 const { convertToBaseUnit } = require('../test/helpers/math');
 
 module.exports = async function (deployer, network, accounts) {
-  await deployer.deploy(Hub, accounts[0], 107, 31556952, 'CRC', convertToBaseUnit(100), '23148148148148');
+  await deployer.deploy(TokenFactory);
+  await deployer.link(TokenFactory, [Hub, MockHub, DemurrageHub]);
+  // kovan and xdai use their chain id as their network id too
+  const chainId = await web3.eth.net.getId();
+  await deployer.deploy(Hub, accounts[0], 107, 31556952, 'CRC', convertToBaseUnit(100), '23148148148148', chainId);
 };
@@ -2,6 +2,8 @@ const truffleContract = require('truffle-contract');
 const proxyArtifacts = require("@circles/safe-contracts/build/contracts/ProxyFactory.json");
 const safeArtifacts = require("@circles/safe-contracts/build/contracts/GnosisSafe.json");
 
+const Hub = artifacts.require('./Hub.sol');
+const SafeSignupFactory = artifacts.require('./SafeSignupFactory.sol');
 const GnosisSafe = truffleContract(safeArtifacts);
 const ProxyFactory = truffleContract(proxyArtifacts);
 
@@ -15,6 +17,8 @@ module.exports = async function(deployer, network, accounts) {
   await deployer.deploy(ProxyFactory, { from: accounts[0] });
   return deployer.deploy(GnosisSafe, { from: accounts[0] }).then(async (safe) => {
     await safe.setup([notOwnedAddress], 1, ZERO_ADDRESS, '0x', ZERO_ADDRESS, 0, ZERO_ADDRESS, { from: accounts[0] })
+    // the safe above is the master copy of the ones SafeSignupFactory deploys
+    await deployer.deploy(SafeSignupFactory, Hub.address, ProxyFactory.address, safe.address);
     return safe
   });
 };
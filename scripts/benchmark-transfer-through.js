@@ -0,0 +1,80 @@
+// Measures the gas transferThrough uses for paths of 1 up to MAX_HOPS hops,
+// on a fresh hub with a chain of users that each trust the one before them.
+//
+// usage: truffle exec --compile scripts/benchmark-transfer-through.js [max hops]
+//
+// Needs a development chain that can make and unlock accounts, and take
+// snapshots (ganache).
+
+const { bn } = require('../test/helpers/math');
+
+const MAX_HOPS = 20;
+
+const Hub = artifacts.require('Hub');
+const TokenFactory = artifacts.require('TokenFactory');
+
+const inflation = bn(275);
+const period = bn(7885000000);
+const symbol = 'CRC';
+const initialPayout = bn(100);
+const tokenName = 'benchmark';
+const amount = bn(25);
+const gas = 6721975;
+
+// truffle exec only gives this script its web3, not the modules it requires,
+// so the snapshot helpers from test/helpers can't be used here
+const send = (method, params = []) => new Promise((resolve, reject) => {
+  web3.currentProvider.send({
+    jsonrpc: '2.0', method, params, id: Date.now(),
+  }, (err, response) => (err ? reject(err) : resolve(response.result)));
+});
+
+const createUsers = async (count, funder) => {
+  const users = [];
+  for (let i = 0; i < count; i += 1) {
+    const user = await web3.eth.personal.newAccount(''); // eslint-disable-line no-await-in-loop
+    await web3.eth.personal.unlockAccount(user, '', 0); // eslint-disable-line no-await-in-loop
+    await web3.eth.sendTransaction({ from: funder, to: user, value: web3.utils.toWei('1') }); // eslint-disable-line no-await-in-loop
+    users.push(user);
+  }
+  return users;
+};
+
+const benchmark = async (maxHops) => {
+  const [owner] = await web3.eth.getAccounts();
+  Hub.link('TokenFactory', (await TokenFactory.new({ from: owner })).address);
+  const hub = await Hub.new(owner, inflation, period, symbol, initialPayout, initialPayout,
+    await web3.eth.net.getId(), { from: owner, gas });
+  await hub.updateMaxHops(maxHops, { from: owner });
+
+  const users = await createUsers(maxHops + 1, owner);
+  for (let i = 0; i < users.length; i += 1) {
+    await hub.signup(tokenName, { from: users[i] }); // eslint-disable-line no-await-in-loop
+    if (i > 0) await hub.trust(users[i - 1], 100, { from: users[i] }); // eslint-disable-line no-await-in-loop
+  }
+
+  console.log('hops\tgas\tper hop\tlast hop');
+  let previous = 0;
+  for (let hops = 1; hops <= maxHops; hops += 1) {
+    const path = users.slice(0, hops + 1);
+    const snapshot = await send('evm_snapshot'); // eslint-disable-line no-await-in-loop
+    const { receipt } = await hub.transferThrough( // eslint-disable-line no-await-in-loop
+      path.slice(0, -1), path.slice(0, -1), path.slice(1), path.slice(1).map(() => amount),
+      { from: users[0], gas },
+    );
+    await send('evm_revert', [snapshot]); // eslint-disable-line no-await-in-loop
+    console.log([
+      hops, receipt.gasUsed, Math.round(receipt.gasUsed / hops), receipt.gasUsed - previous,
+    ].join('\t'));
+    previous = receipt.gasUsed;
+  }
+};
+
+module.exports = async (callback) => {
+  try {
+    await benchmark(parseInt(process.argv[process.argv.length - 1], 10) || MAX_HOPS);
+    callback();
+  } catch (error) {
+    callback(error);
+  }
+};
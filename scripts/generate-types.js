@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+// Writes TypeScript declarations for the truffle-contract instances of our
+// contracts, from the ABIs truffle compiled into build/contracts.
+//
+// usage: node scripts/generate-types.js [build directory]
+
+const fs = require('fs');
+const path = require('path');
+
+const CONTRACTS = ['Hub', 'Token', 'SafeSignupFactory'];
+
+const buildDir = path.resolve(process.argv[2] || path.join(__dirname, '..', 'build', 'contracts'));
+const outDir = path.join(__dirname, '..', 'src', 'types');
+
+const inputType = (type) => {
+  if (type.endsWith('[]')) {
+    const element = inputType(type.slice(0, -2));
+    return element.includes('|') ? `(${element})[]` : `${element}[]`;
+  }
+  if (/^u?int/.test(type)) return 'number | string | BN';
+  if (type === 'bool') return 'boolean';
+  return 'string';
+};
+
+const outputType = (type) => {
+  if (type.endsWith('[]')) return `${outputType(type.slice(0, -2))}[]`;
+  if (/^u?int/.test(type)) return 'BN';
+  if (type === 'bool') return 'boolean';
+  return 'string';
+};
+
+const argName = (input, i) => input.name || `arg${i}`;
+
+const params = inputs => inputs
+  .map((input, i) => `${argName(input, i)}: ${inputType(input.type)}`)
+  .concat('txDetails?: TransactionDetails')
+  .join(', ');
+
+const returns = (outputs) => {
+  if (outputs.length === 0) return 'void';
+  if (outputs.length === 1) return outputType(outputs[0].type);
+  const fields = outputs.map((output, i) => {
+    const named = output.name ? ` ${output.name}: ${outputType(output.type)};` : '';
+    return ` ${i}: ${outputType(output.type)};${named}`;
+  });
+  return `{${fields.join('')} }`;
+};
+
+const isCall = item => item.constant || ['view', 'pure'].includes(item.stateMutability);
+
+const method = item => (isCall(item)
+  ? `  ${item.name}(${params(item.inputs)}): Promise<${returns(item.outputs)}>;`
+  : `  ${item.name}(${params(item.inputs)}): Promise<TransactionResult>;`);
+
+const eventArgs = item => [
+  `export interface ${item.name}EventArgs {`,
+  ...item.inputs.map((input, i) => `  ${argName(input, i)}: ${outputType(input.type)};`),
+  '}',
+];
+
+const declarations = (name, abi) => {
+  const functions = abi.filter(item => item.type === 'function');
+  const events = abi.filter(item => item.type === 'event');
+  const constructor = abi.find(item => item.type === 'constructor') || { inputs: [] };
+
+  return [
+    `// Generated by scripts/generate-types.js from build/contracts/${name}.json, do not edit.`,
+    '',
+    "import BN = require('bn.js');",
+    "import { TransactionDetails, TransactionResult } from './truffle';",
+    '',
+    ...events.reduce((lines, event) => lines.concat(eventArgs(event), ''), []),
+    `export interface ${name}Instance {`,
+    '  address: string;',
+    '  transactionHash: string;',
+    '  abi: object[];',
+    ...functions.map(method),
+    '}',
+    '',
+    `export interface ${name}Contract {`,
+    '  abi: object[];',
+    `  at(address: string): Promise<${name}Instance>;`,
+    `  'new'(${params(constructor.inputs)}): Promise<${name}Instance>;`,
+    '}',
+    '',
+  ].join('\n');
+};
+
+CONTRACTS.forEach((name) => {
+  const { abi } = JSON.parse(fs.readFileSync(path.join(buildDir, `${name}.json`), 'utf8'));
+  fs.writeFileSync(path.join(outDir, `${name}.d.ts`), declarations(name, abi));
+});
@@ -0,0 +1,143 @@
+const Web3 = require('web3');
+const { loadGraph, findTransferSteps } = require('./pathfinder');
+
+const { BN } = Web3.utils;
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Amounts are BN, or strings of base units; a plain number only when it is
+// small enough to be represented exactly.
+const toAmount = (value) => {
+  if (BN.isBN(value)) return value;
+  if (typeof value === 'number' && !Number.isSafeInteger(value)) {
+    throw new Error(`${value} can not be represented exactly, pass amounts as a string or BN`);
+  }
+  return new BN(value.toString());
+};
+
+const fromSteps = steps => ({
+  tokenOwners: steps.map(step => step.tokenOwner),
+  srcs: steps.map(step => step.src),
+  dests: steps.map(step => step.dest),
+  wads: steps.map(step => step.wad),
+});
+
+class CirclesHub {
+  // hub is a deployed Hub, Token the contract abstraction for personal tokens
+  constructor(hub, { Token, from } = {}) {
+    this.hub = hub;
+    this.Token = Token;
+    this.from = from;
+  }
+
+  // Hub and Token are truffle contract abstractions, compiled from the same
+  // sources as the deployed hub and set up with a provider
+  static async at(address, { Hub, Token, from } = {}) {
+    return new CirclesHub(await Hub.at(address), { Token, from });
+  }
+
+  txDetails(options = {}) {
+    return this.from ? Object.assign({ from: this.from }, options) : options;
+  }
+
+  async signup(name, options) {
+    return this.hub.signup(name, this.txDetails(options));
+  }
+
+  // for shops and other groups that accept circles without minting their own
+  async organizationSignup(options) {
+    return this.hub.organizationSignup(this.txDetails(options));
+  }
+
+  // limit is a percentage of your own token's supply
+  async trust(user, limit, options) {
+    return this.hub.trust(user, toAmount(limit), this.txDetails(options));
+  }
+
+  // accepts up to amount of user's token, whatever the sender's own supply is
+  async trustAmount(user, amount, options) {
+    return this.hub.trustAmount(user, toAmount(amount), this.txDetails(options));
+  }
+
+  // trust that counts as 0 after expiry, a Date or a timestamp in seconds
+  async trustUntil(user, limit, expiry, options) {
+    const timestamp = expiry instanceof Date ? Math.floor(expiry.getTime() / 1000) : expiry;
+    return this.hub.trustUntil(user, toAmount(limit), toAmount(timestamp),
+      this.txDetails(options));
+  }
+
+  // resolves to null if user hasn't signed up
+  async getToken(user) {
+    const address = await this.hub.userToToken(user);
+    if (address === ZERO_ADDRESS) return null;
+    return this.Token.at(address);
+  }
+
+  async checkSendLimit(tokenOwner, src, dest) {
+    return this.hub.checkSendLimit(tokenOwner, src, dest);
+  }
+
+  // see findTransferSteps in ./pathfinder
+  async findPath(from, to, value, options) {
+    const graph = await loadGraph(this.hub, this.Token);
+    return findTransferSteps(graph, from, to, value === undefined ? value : toAmount(value),
+      options);
+  }
+
+  // path is either a list of { tokenOwner, src, dest, wad } steps, or the
+  // arrays findPath returns
+  async transferThrough(path, options) {
+    const {
+      tokenOwners, srcs, dests, wads,
+    } = Array.isArray(path) ? fromSteps(path) : path;
+    return this.hub.transferThrough(tokenOwners, srcs, dests, wads.map(toAmount),
+      this.txDetails(options));
+  }
+
+  // sends tokenOwner's token directly to dest, within dest's trust limit
+  async transferToken(tokenOwner, dest, wad, options) {
+    return this.hub.transferToken(tokenOwner, dest, toAmount(wad), this.txDetails(options));
+  }
+
+  // Moves the sender's token and trust to newOwner, with everyone the hub
+  // lists in trusting and trustedBy for the sender. The self trust moves
+  // anyway, and trust with newOwner stays behind.
+  async migrate(newOwner, options) {
+    const { from } = this.txDetails(options);
+    const list = async (method, count) => this.hub[method](from, 0, await this.hub[count](from));
+    const others = accounts => accounts.filter(account => account !== from && account !== newOwner);
+    const [trusted, trusters] = await Promise.all([
+      list('trusting', 'trustingCount'),
+      list('trustedBy', 'trustedByCount'),
+    ]);
+    return this.hub.migrate(newOwner, others(trusted), others(trusters),
+      this.txDetails(options));
+  }
+
+  // Points the sender's token at their profile, uri an IPFS CID or a URL and
+  // hash the keccak256 of what is there
+  async updateMetadata(uri, hash, options) {
+    const details = this.txDetails(options);
+    const token = await this.getToken(details.from);
+    if (!token) throw new Error(`${details.from} has not signed up`);
+    return token.updateMetadata(uri, hash, details);
+  }
+
+  // resolves to { uri, hash }, both empty if user hasn't set them
+  async metadata(user) {
+    const { uri, hash } = await this.hub.metadata(user);
+    return { uri, hash };
+  }
+
+  // the UBI user's token would mint if it were updated now
+  async pendingUBI(user) {
+    const token = await this.getToken(user);
+    if (!token) return new BN(0);
+    return token.look();
+  }
+}
+
+module.exports = {
+  CirclesHub,
+  toAmount,
+};
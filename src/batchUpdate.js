@@ -0,0 +1,59 @@
+// Slack added to every estimate: UBI keeps accruing between estimating a
+// batch and mining it, and crossing into a new period costs more gas.
+const GAS_HEADROOM_PERCENT = 10;
+
+const withHeadroom = gas => gas + Math.ceil((gas * GAS_HEADROOM_PERCENT) / 100);
+
+const blockGasLimit = async (hub) => {
+  const block = await hub.constructor.web3.eth.getBlock('latest');
+  return block.gasLimit;
+};
+
+// Splits users into batches whose hub.updateMany call, plus headroom, fits
+// in gasLimit (the latest block's gas limit by default). Batches that don't
+// fit are halved until they do. Nodes refuse to estimate a call that needs
+// more gas than a block has, so a batch that can't be estimated doesn't fit
+// either. Resolves to [{ users, gas }].
+const planBatches = async (hub, users, { gasLimit, from } = {}) => {
+  const limit = gasLimit || await blockGasLimit(hub);
+
+  const estimate = async (batch) => {
+    try {
+      return withHeadroom(await hub.updateMany.estimateGas(batch, { from }));
+    } catch (error) {
+      if (batch.length === 1) throw error;
+      return Infinity;
+    }
+  };
+
+  const plan = async (batch) => {
+    if (batch.length === 0) return [];
+    const gas = await estimate(batch);
+    if (gas <= limit) return [{ users: batch, gas }];
+    if (batch.length === 1) {
+      throw new Error(`Updating ${batch[0]} needs ${gas} gas, more than the limit of ${limit}`);
+    }
+    const half = Math.ceil(batch.length / 2);
+    return (await plan(batch.slice(0, half))).concat(await plan(batch.slice(half)));
+  };
+
+  return plan(users);
+};
+
+// Claims the UBI of every user, one hub.updateMany transaction per batch.
+// Batches are sent one after another; resolves to their transaction results.
+const updateInBatches = async (hub, users, options = {}) => {
+  const batches = await planBatches(hub, users, options);
+  const results = [];
+  for (let i = 0; i < batches.length; i += 1) {
+    const { users: batch, gas } = batches[i];
+    results.push(await hub.updateMany(batch, { from: options.from, gas })); // eslint-disable-line no-await-in-loop
+  }
+  return results;
+};
+
+module.exports = {
+  GAS_HEADROOM_PERCENT,
+  planBatches,
+  updateInBatches,
+};
@@ -0,0 +1,179 @@
+import BN = require('bn.js');
+import { HubContract, HubInstance } from './types/Hub';
+import { TokenContract, TokenInstance } from './types/Token';
+import { SafeSignupFactoryInstance } from './types/SafeSignupFactory';
+import { TransactionDetails, TransactionResult } from './types/truffle';
+
+export * from './types/Hub';
+export * from './types/Token';
+export * from './types/SafeSignupFactory';
+export * from './types/truffle';
+
+export type Amount = BN | string | number;
+
+export interface TransferStep {
+  tokenOwner: string;
+  src: string;
+  dest: string;
+  wad: Amount;
+}
+
+export interface TransferPath {
+  tokenOwners: string[];
+  srcs: string[];
+  dests: string[];
+  wads: Amount[];
+}
+
+export interface FoundPath extends TransferPath {
+  amount: BN;
+  wads: BN[];
+}
+
+export interface PathOptions {
+  maxSteps?: number;
+}
+
+export interface TrustGraph {
+  users: string[];
+  organizations?: string[];
+  balances: { [tokenOwner: string]: { [holder: string]: BN } };
+  sendLimits: { [dest: string]: { [tokenOwner: string]: BN } };
+  acceptsAll?: { [dest: string]: { [tokenOwner: string]: boolean } };
+  maxSteps?: number;
+}
+
+export interface MaxFlow {
+  flow: BN;
+  paths: { amount: BN; steps: TransferStep[] }[];
+}
+
+export const MAX_STEPS: number;
+
+export function toAmount(value: Amount): BN;
+
+export function loadGraph(hub: HubInstance, Token: TokenContract,
+  options?: { fromBlock?: number }): Promise<TrustGraph>;
+
+export function findMaxFlow(graph: TrustGraph, from: string, to: string): MaxFlow;
+
+export function findTransferSteps(graph: TrustGraph, from: string, to: string,
+  value?: Amount, options?: PathOptions): FoundPath;
+
+export const REORG_DEPTH: number;
+
+export interface HubTransferRecord {
+  from: string;
+  to: string;
+  amount: string;
+}
+
+export interface Indexer {
+  sync(): Promise<{ number: number; hash: string } | null>;
+  head(): { number: number; hash: string } | null;
+  users(): string[];
+  organizations(): string[];
+  tokenOf(user: string): string | undefined;
+  userOf(token: string): string | undefined;
+  expiry(canSendTo: string, user: string): number;
+  isAbsolute(canSendTo: string, user: string): boolean;
+  limit(canSendTo: string, user: string, time?: number): BN;
+  trustEdges(): { canSendTo: string; user: string }[];
+  totalMinted(): BN;
+  balanceOf(tokenOwner: string, holder: string): BN;
+  hubTransfers(): HubTransferRecord[];
+}
+
+export function createIndexer(options: {
+  web3: any;
+  hub: HubInstance;
+  Token: TokenContract;
+  fromBlock?: number;
+  reorgDepth?: number;
+  file?: string;
+}): Indexer;
+
+export const GAS_HEADROOM_PERCENT: number;
+
+export interface UpdateBatch {
+  users: string[];
+  gas: number;
+}
+
+export interface BatchOptions {
+  gasLimit?: number;
+  from?: string;
+}
+
+export function planBatches(hub: HubInstance, users: string[],
+  options?: BatchOptions): Promise<UpdateBatch[]>;
+
+export function updateInBatches(hub: HubInstance, users: string[],
+  options?: BatchOptions): Promise<TransactionResult[]>;
+
+export const COUNTERS: string[];
+
+export interface HubStats {
+  userCount: BN;
+  trustEdgeCount: BN;
+  totalMinted: BN;
+}
+
+export function readStats(hub: HubInstance, block?: number | string): Promise<HubStats>;
+
+export function replayStats(indexer: Indexer): HubStats;
+
+export function checkStats(hub: HubInstance, indexer: Indexer): Promise<{
+  onChain: HubStats;
+  replayed: HubStats;
+  mismatches: string[];
+}>;
+
+export interface SafeConfig {
+  owners: string[];
+  threshold: number;
+  name: string;
+  saltNonce: number | string | BN;
+}
+
+export function computeSafeAddress(options: {
+  proxyFactory: string;
+  masterCopy: string;
+  proxyCreationCode: string;
+  initializer: string;
+  saltNonce: number | string | BN;
+}): string;
+
+export function predictSafeAddress(factory: SafeSignupFactoryInstance,
+  config: SafeConfig): Promise<string>;
+
+export class CirclesHub {
+  constructor(hub: HubInstance, options: { Token: TokenContract; from?: string });
+
+  static at(address: string,
+    options: { Hub: HubContract; Token: TokenContract; from?: string }): Promise<CirclesHub>;
+
+  readonly hub: HubInstance;
+  readonly Token: TokenContract;
+  readonly from?: string;
+
+  signup(name: string, options?: TransactionDetails): Promise<TransactionResult>;
+  organizationSignup(options?: TransactionDetails): Promise<TransactionResult>;
+  trust(user: string, limit: Amount, options?: TransactionDetails): Promise<TransactionResult>;
+  trustAmount(user: string, amount: Amount,
+    options?: TransactionDetails): Promise<TransactionResult>;
+  trustUntil(user: string, limit: Amount, expiry: Date | number,
+    options?: TransactionDetails): Promise<TransactionResult>;
+  getToken(user: string): Promise<TokenInstance | null>;
+  checkSendLimit(tokenOwner: string, src: string, dest: string): Promise<BN>;
+  findPath(from: string, to: string, value?: Amount, options?: PathOptions): Promise<FoundPath>;
+  transferThrough(path: TransferPath | TransferStep[],
+    options?: TransactionDetails): Promise<TransactionResult>;
+  transferToken(tokenOwner: string, dest: string, wad: Amount,
+    options?: TransactionDetails): Promise<TransactionResult>;
+  migrate(newOwner: string, options?: TransactionDetails): Promise<TransactionResult>;
+  pendingUBI(user: string): Promise<BN>;
+  updateMetadata(uri: string, hash: string,
+    options?: TransactionDetails): Promise<TransactionResult>;
+  metadata(user: string): Promise<{ uri: string; hash: string }>;
+}
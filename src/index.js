@@ -0,0 +1,30 @@
+const { CirclesHub, toAmount } = require('./CirclesHub');
+const {
+  MAX_STEPS, loadGraph, findMaxFlow, findTransferSteps,
+} = require('./pathfinder');
+const { REORG_DEPTH, createIndexer } = require('./indexer');
+const { GAS_HEADROOM_PERCENT, planBatches, updateInBatches } = require('./batchUpdate');
+const {
+  COUNTERS, readStats, replayStats, checkStats,
+} = require('./stats');
+const { computeSafeAddress, predictSafeAddress } = require('./safeSignup');
+
+module.exports = {
+  CirclesHub,
+  toAmount,
+  MAX_STEPS,
+  loadGraph,
+  findMaxFlow,
+  findTransferSteps,
+  REORG_DEPTH,
+  createIndexer,
+  GAS_HEADROOM_PERCENT,
+  planBatches,
+  updateInBatches,
+  COUNTERS,
+  readStats,
+  replayStats,
+  checkStats,
+  computeSafeAddress,
+  predictSafeAddress,
+};
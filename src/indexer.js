@@ -0,0 +1,233 @@
+const fs = require('fs');
+const Web3 = require('web3');
+
+const { BN } = Web3.utils;
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// how many blocks back we keep enough history to undo a reorg
+const REORG_DEPTH = 64;
+
+const emptyState = () => ({
+  head: null,
+  blocks: [],
+  users: {},
+  organizations: {},
+  tokens: {},
+  limits: {},
+  expiries: {},
+  absoluteLimits: {},
+  balances: {},
+  transfers: {},
+  minted: '0',
+});
+
+const eventsByTopic = (coder, abi) => abi
+  .filter(item => item.type === 'event')
+  .reduce((events, event) => Object.assign(events, {
+    [coder.encodeEventSignature(event)]: event,
+  }), {});
+
+const decode = (coder, events) => (log) => {
+  const event = events[log.topics[0]];
+  return {
+    event: event.name,
+    address: log.address,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.logIndex,
+    args: coder.decodeLog(event.inputs, log.data, log.topics.slice(1)),
+  };
+};
+
+const byPosition = (a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex);
+
+// Every write goes through here, so that the previous value can be put back
+// if the block it came from is reorged away.
+const write = (state, undo, path, value) => {
+  const key = path[path.length - 1];
+  const parent = path.slice(0, -1).reduce((node, k) => {
+    if (!node[k]) node[k] = {}; // eslint-disable-line no-param-reassign
+    return node[k];
+  }, state);
+  undo.push([path, parent[key]]);
+  parent[key] = value;
+};
+
+const erase = (state, path) => {
+  const parent = path.slice(0, -1).reduce((node, k) => node[k], state);
+  delete parent[path[path.length - 1]];
+};
+
+const add = (state, undo, path, amount) => {
+  const current = path.reduce((node, k) => (node ? node[k] : undefined), state);
+  write(state, undo, path, new BN(current || 0).add(amount).toString());
+};
+
+const apply = (state, undo, {
+  event, address, args, transactionHash, logIndex,
+}) => {
+  switch (event) {
+    case 'Signup':
+      write(state, undo, ['users', args.user], args.token);
+      write(state, undo, ['tokens', args.token], args.user);
+      break;
+    case 'Migration':
+      write(state, undo, ['users', args.from], null);
+      write(state, undo, ['users', args.to], args.token);
+      write(state, undo, ['tokens', args.token], args.to);
+      break;
+    case 'OrganizationSignup':
+      write(state, undo, ['organizations', args.organization], true);
+      break;
+    case 'Trust':
+      write(state, undo, ['limits', args.canSendTo, args.user], args.limit);
+      write(state, undo, ['expiries', args.canSendTo, args.user], args.expiry);
+      write(state, undo, ['absoluteLimits', args.canSendTo, args.user], args.absolute);
+      break;
+    case 'HubTransfer':
+      write(state, undo, ['transfers', `${transactionHash}:${logIndex}`], {
+        from: args.from, to: args.to, amount: args.amount,
+      });
+      break;
+    case 'Transfer':
+      if (args.from !== ZERO_ADDRESS) {
+        add(state, undo, ['balances', address, args.from], new BN(args.value).neg());
+      } else {
+        add(state, undo, ['minted'], new BN(args.value));
+      }
+      if (args.to !== ZERO_ADDRESS) {
+        add(state, undo, ['balances', address, args.to], new BN(args.value));
+      }
+      break;
+    default:
+  }
+};
+
+// undo everything after block `number`, newest first
+const rollback = (state, number) => {
+  while (state.blocks.length > 0 && state.blocks[state.blocks.length - 1].number > number) {
+    const { undo } = state.blocks.pop();
+    undo.reverse().forEach(([path, previous]) => {
+      if (previous == null) {
+        erase(state, path);
+      } else {
+        const parent = path.slice(0, -1).reduce((node, k) => node[k], state);
+        parent[path[path.length - 1]] = previous;
+      }
+    });
+  }
+};
+
+// Replays the hub's Signup, Migration, OrganizationSignup, Trust and HubTransfer events,
+// and the Transfer events of every token it deployed, into a local copy of the
+// trust graph and token balances. Given a file, the state is written there
+// after every sync and picked up again on start, so a restarted process
+// carries on from the last block it finished.
+const createIndexer = ({
+  web3, hub, Token, fromBlock = 0, reorgDepth = REORG_DEPTH, file,
+}) => {
+  const coder = web3.eth.abi;
+  const hubEvents = eventsByTopic(coder, hub.abi);
+  const tokenEvents = eventsByTopic(coder, Token.abi);
+  const transferTopic = Object.keys(tokenEvents)
+    .find(topic => tokenEvents[topic].name === 'Transfer');
+
+  const state = file && fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, 'utf8'))
+    : emptyState();
+
+  // the newest block we indexed that is still on the chain
+  const findCommonAncestor = async () => {
+    const known = state.blocks.slice().reverse();
+    for (let i = 0; i < known.length; i += 1) {
+      const block = await web3.eth.getBlock(known[i].number); // eslint-disable-line no-await-in-loop
+      if (block && block.hash === known[i].hash) return known[i];
+    }
+    throw new Error(`Reorg is deeper than the ${reorgDepth} blocks of indexed history`);
+  };
+
+  const sync = async () => {
+    if (state.head) {
+      const ancestor = await findCommonAncestor();
+      if (ancestor.number !== state.head.number) {
+        rollback(state, ancestor.number);
+        state.head = { number: ancestor.number, hash: ancestor.hash };
+      }
+    }
+
+    const latest = await web3.eth.getBlock('latest');
+    const from = state.head ? state.head.number + 1 : fromBlock;
+    if (from > latest.number) return state.head;
+
+    const range = { fromBlock: from, toBlock: latest.number };
+    const hubLogs = (await web3.eth.getPastLogs(Object.assign({ address: hub.address }, range)))
+      .filter(log => hubEvents[log.topics[0]])
+      .map(decode(coder, hubEvents));
+    const tokens = Object.keys(state.tokens).concat(hubLogs
+      .filter(log => log.event === 'Signup')
+      .map(log => log.args.token));
+    const tokenLogs = tokens.length === 0 ? [] : (await web3.eth.getPastLogs(Object.assign({
+      address: tokens, topics: [transferTopic],
+    }, range))).map(decode(coder, tokenEvents));
+
+    hubLogs.concat(tokenLogs).sort(byPosition).forEach((log) => {
+      let block = state.blocks[state.blocks.length - 1];
+      if (!block || block.number !== log.blockNumber) {
+        block = { number: log.blockNumber, hash: log.blockHash, undo: [] };
+        state.blocks.push(block);
+      }
+      apply(state, block.undo, log);
+    });
+
+    if (state.blocks.length === 0 || state.blocks[state.blocks.length - 1].number !== latest.number) {
+      state.blocks.push({ number: latest.number, hash: latest.hash, undo: [] });
+    }
+    state.head = { number: latest.number, hash: latest.hash };
+    state.blocks = state.blocks.filter(block => block.number > latest.number - reorgDepth);
+    if (file) fs.writeFileSync(file, JSON.stringify(state));
+    return state.head;
+  };
+
+  // when canSendTo's trust in user runs out, 0 if it doesn't
+  const expiryOf = (canSendTo, user) => Number(((state.expiries || {})[canSendTo] || {})[user]
+    || 0);
+
+  return {
+    sync,
+    head: () => state.head,
+    users: () => Object.keys(state.users).filter(user => state.users[user]),
+    organizations: () => Object.keys(state.organizations || {}),
+    tokenOf: user => state.users[user] || undefined,
+    userOf: token => state.tokens[token],
+    expiry: expiryOf,
+    // whether the limit is an amount of user's token rather than a percentage
+    isAbsolute: (canSendTo, user) => Boolean(((state.absoluteLimits || {})[canSendTo]
+      || {})[user]),
+    // given a timestamp, trust that has expired by then is 0, like in the hub
+    limit: (canSendTo, user, time) => {
+      const expiry = expiryOf(canSendTo, user);
+      if (time !== undefined && expiry !== 0 && time > expiry) return new BN(0);
+      return new BN((state.limits[canSendTo] || {})[user] || 0);
+    },
+    // every canSendTo, user pair with a limit above 0, expired or not
+    trustEdges: () => Object.keys(state.limits).reduce((edges, canSendTo) => edges.concat(
+      Object.keys(state.limits[canSendTo])
+        .filter(user => !new BN(state.limits[canSendTo][user]).isZero())
+        .map(user => ({ canSendTo, user })),
+    ), []),
+    // what every token has minted, in the units of its Transfer events
+    totalMinted: () => new BN(state.minted || 0),
+    balanceOf: (tokenOwner, holder) => {
+      const balances = state.balances[state.users[tokenOwner]] || {};
+      return new BN(balances[holder] || 0);
+    },
+    hubTransfers: () => Object.values(state.transfers),
+  };
+};
+
+module.exports = {
+  REORG_DEPTH,
+  createIndexer,
+};
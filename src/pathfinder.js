@@ -0,0 +1,268 @@
+const web3 = require('web3');
+
+const BN = web3.utils.BN;
+const { toChecksumAddress } = web3.utils;
+
+// Hub.transferThrough rejects paths with more steps than this, unless the
+// owner changed Hub.maxHops
+const MAX_STEPS = 5;
+
+const minimum = amounts => amounts.reduce((a, b) => BN.min(a, b));
+
+const holdingNode = (holder, tokenOwner) => `holding:${holder}:${tokenOwner}`;
+const acceptingNode = (tokenOwner, dest) => `accepting:${tokenOwner}:${dest}`;
+
+// Reads the trust graph from the hub: every user and organization that signed
+// up, how much of every circles token each of them holds, and how much of each
+// trusted token each of them will still accept (Hub.checkSendLimit). Also
+// records the hub's current hop cap.
+const loadGraph = async (hub, Token, { fromBlock = 0 } = {}) => {
+  const signups = await hub.getPastEvents('Signup', { fromBlock, toBlock: 'latest' });
+  const migrations = await hub.getPastEvents('Migration', { fromBlock, toBlock: 'latest' });
+  // a migrated token is listed under whoever owns it now
+  const users = signups.concat(migrations)
+    .sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex))
+    .reduce((list, { event, args }) => (event === 'Signup'
+      ? list.concat(args.user)
+      : list.filter(user => user !== args.from).concat(args.to)), []);
+  const organizationSignups = await hub.getPastEvents('OrganizationSignup', { fromBlock, toBlock: 'latest' });
+  const organizations = organizationSignups.map(e => e.args.organization);
+  const accounts = users.concat(organizations);
+  const tokens = await Promise.all(users
+    .map(async user => Token.at(await hub.userToToken(user))));
+
+  // only accounts a token was ever sent to can hold it, so the Transfer
+  // events tell us whose balances to read
+  const balances = {};
+  await Promise.all(users.map(async (tokenOwner, i) => {
+    const transfers = await tokens[i].getPastEvents('Transfer', { fromBlock, toBlock: 'latest' });
+    const holders = new Set(transfers.map(({ args }) => args.to)
+      .filter(holder => accounts.includes(holder)));
+    balances[tokenOwner] = {};
+    await Promise.all([...holders].map(async (holder) => {
+      balances[tokenOwner][holder] = new BN(await tokens[i].balanceOf(holder));
+    }));
+  }));
+
+  // the Trust events tell us which limits could be set, Hub.trustLimit tells
+  // us which ones still are, and haven't expired
+  const trusts = await hub.getPastEvents('Trust', { fromBlock, toBlock: 'latest' });
+  const pairs = {};
+  trusts.forEach(({ args: { canSendTo, user } }) => {
+    if (canSendTo !== user && balances[user]) {
+      pairs[`${canSendTo}:${user}`] = { dest: canSendTo, tokenOwner: user };
+    }
+  });
+
+  // organizations take any amount of a token they trust, which can't be more
+  // than all of it, unless they set an amount
+  const sendLimits = {};
+  const acceptsAll = {};
+  accounts.forEach((account) => { sendLimits[account] = {}; acceptsAll[account] = {}; });
+  await Promise.all(Object.values(pairs).map(async ({ dest, tokenOwner }) => {
+    if ((await hub.trustLimit(dest, tokenOwner)).isZero()) return;
+    if (organizations.includes(dest) && !(await hub.absoluteLimits(dest, tokenOwner))) {
+      acceptsAll[dest][tokenOwner] = true;
+      sendLimits[dest][tokenOwner] = new BN(await tokens[users.indexOf(tokenOwner)].totalSupply());
+    } else {
+      sendLimits[dest][tokenOwner] = new BN(await hub.checkSendLimit(tokenOwner, tokenOwner, dest));
+    }
+  }));
+
+  const maxSteps = (await hub.maxHops()).toNumber();
+
+  return {
+    users, organizations, balances, sendLimits, acceptsAll, maxSteps,
+  };
+};
+
+const addEdge = (network, from, to, capacity) => {
+  if (!network[from]) network[from] = {};
+  if (!network[to]) network[to] = {};
+  network[from][to] = (network[from][to] || new BN(0)).add(capacity);
+  if (!network[to][from]) network[to][from] = new BN(0);
+};
+
+// Every user can pass on each token they hold to anyone that accepts it.
+// Acceptance is shared between all senders of a token, so it is modelled as
+// its own node: holding -> accepting -> dest. A user always accepts their own
+// token back, which the hub does not limit. Organizations hold, pass on and
+// accept tokens like users, but have none of their own.
+// Hub.transferThrough counts what dest holds of the token on top of its send
+// limit, which already takes it off, so dest holdings come off twice: from
+// the limit, or for an organization that accepts all of a token, from what
+// each sender holds.
+const buildNetwork = ({
+  users, organizations = [], balances, sendLimits, acceptsAll = {},
+}) => {
+  const accounts = users.concat(organizations);
+  const held = (tokenOwner, account) => balances[tokenOwner][account] || new BN(0);
+  const takesAll = (dest, tokenOwner) => !!(acceptsAll[dest] && acceptsAll[dest][tokenOwner]);
+  const network = {};
+  users.forEach((tokenOwner) => {
+    accounts.forEach((holder) => {
+      const balance = held(tokenOwner, holder);
+      if (balance.isZero()) return;
+      const holding = holdingNode(holder, tokenOwner);
+      addEdge(network, holder, holding, balance);
+      if (holder !== tokenOwner) {
+        addEdge(network, holding, tokenOwner, balance);
+      }
+      accounts.forEach((dest) => {
+        if (dest === holder || dest === tokenOwner || !sendLimits[dest][tokenOwner]) return;
+        const capacity = takesAll(dest, tokenOwner)
+          ? balance.sub(held(tokenOwner, dest)) : balance;
+        if (capacity.gtn(0)) {
+          addEdge(network, holding, acceptingNode(tokenOwner, dest), capacity);
+        }
+      });
+    });
+  });
+  accounts.forEach((dest) => {
+    Object.keys(sendLimits[dest]).forEach((tokenOwner) => {
+      const accepting = acceptingNode(tokenOwner, dest);
+      const capacity = takesAll(dest, tokenOwner)
+        ? sendLimits[dest][tokenOwner]
+        : sendLimits[dest][tokenOwner].sub(held(tokenOwner, dest));
+      if (network[accepting] && capacity.gtn(0)) {
+        addEdge(network, accepting, dest, capacity);
+      }
+    });
+  });
+  return network;
+};
+
+// breadth first, so we always augment along a shortest path (Edmonds-Karp)
+const findAugmentingPath = (residual, source, sink) => {
+  const parents = { [source]: null };
+  const queue = [source];
+  while (queue.length > 0 && !(sink in parents)) {
+    const node = queue.shift();
+    Object.keys(residual[node] || {}).forEach((next) => {
+      if (!(next in parents) && residual[node][next].gtn(0)) {
+        parents[next] = node;
+        queue.push(next);
+      }
+    });
+  }
+  if (!(sink in parents)) return null;
+  const path = [];
+  for (let node = sink; node !== source; node = parents[node]) {
+    path.unshift([parents[node], node]);
+  }
+  return path;
+};
+
+const copyNetwork = network => Object.keys(network).reduce((copy, from) => {
+  copy[from] = Object.assign({}, network[from]); // eslint-disable-line no-param-reassign
+  return copy;
+}, {});
+
+// the flow along every edge, once the residual network is exhausted
+const edgeFlows = (network, residual) => {
+  const flows = {};
+  Object.keys(network).forEach((from) => {
+    Object.keys(network[from]).forEach((to) => {
+      const flow = network[from][to].sub(residual[from][to]);
+      if (flow.gtn(0)) {
+        if (!flows[from]) flows[from] = {};
+        flows[from][to] = flow;
+      }
+    });
+  });
+  return flows;
+};
+
+// Splits a flow into the paths it is made of, so they can be picked one by
+// one. Whatever cannot be reached from the source is a circulation, and is
+// left out.
+const decompose = (flows, source, sink) => {
+  const paths = [];
+  for (let path = findAugmentingPath(flows, source, sink); path;
+    path = findAugmentingPath(flows, source, sink)) {
+    const amount = minimum(path.map(([from, to]) => flows[from][to]));
+    path.forEach(([from, to]) => { flows[from][to] = flows[from][to].sub(amount); }); // eslint-disable-line no-param-reassign
+    paths.push({ amount, nodes: [source, ...path.map(([, to]) => to)] });
+  }
+  return paths;
+};
+
+// holding:u:t -> (accepting:t:v ->) v becomes "u sends t to v"
+const toSteps = ({ amount, nodes }) => nodes.reduce((steps, node, i) => {
+  if (!node.startsWith('holding:')) return steps;
+  const [, src, tokenOwner] = node.split(':');
+  const next = nodes[i + 1];
+  const dest = next.startsWith('accepting:') ? next.split(':')[2] : next;
+  return steps.concat({
+    tokenOwner, src, dest, wad: amount,
+  });
+}, []);
+
+// The largest amount that can be sent from `from` to `to` through the trust
+// graph, along with the paths that carry it.
+const findMaxFlow = (graph, from, to) => {
+  const source = toChecksumAddress(from);
+  const sink = toChecksumAddress(to);
+  const network = buildNetwork(graph);
+  const residual = copyNetwork(network);
+  let flow = new BN(0);
+
+  if (source !== sink && network[source] && network[sink]) {
+    for (let path = findAugmentingPath(residual, source, sink); path;
+      path = findAugmentingPath(residual, source, sink)) {
+      const amount = minimum(path.map(([a, b]) => residual[a][b]));
+      path.forEach(([a, b]) => {
+        residual[a][b] = residual[a][b].sub(amount);
+        residual[b][a] = residual[b][a].add(amount);
+      });
+      flow = flow.add(amount);
+    }
+  }
+
+  const paths = decompose(edgeFlows(network, residual), source, sink)
+    .map(path => ({ amount: path.amount, steps: toSteps(path) }));
+  return { flow, paths };
+};
+
+// Picks paths out of the max flow, largest first, until `value` is covered
+// (or everything is, if no value is given) without going over `maxSteps`
+// distinct steps, by default the hop cap of the hub the graph came from.
+// Returns the arrays Hub.transferThrough expects, and the amount they
+// actually send, which may be less than asked for.
+const findTransferSteps = (graph, from, to, value, {
+  maxSteps = graph.maxSteps || MAX_STEPS,
+} = {}) => {
+  const { flow, paths } = findMaxFlow(graph, from, to);
+  let remaining = value === undefined ? flow : BN.min(new BN(value.toString()), flow);
+  let amount = new BN(0);
+  const steps = {};
+
+  paths.sort((a, b) => b.amount.cmp(a.amount)).forEach((path) => {
+    if (remaining.isZero()) return;
+    const key = s => `${s.tokenOwner}:${s.src}:${s.dest}`;
+    const added = path.steps.filter(s => !steps[key(s)]).length;
+    if (Object.keys(steps).length + added > maxSteps) return;
+    const wad = BN.min(path.amount, remaining);
+    path.steps.forEach((s) => {
+      steps[key(s)] = Object.assign({}, s, { wad: (steps[key(s)] ? steps[key(s)].wad : new BN(0)).add(wad) });
+    });
+    amount = amount.add(wad);
+    remaining = remaining.sub(wad);
+  });
+
+  const ordered = Object.values(steps);
+  return {
+    amount,
+    tokenOwners: ordered.map(s => s.tokenOwner),
+    srcs: ordered.map(s => s.src),
+    dests: ordered.map(s => s.dest),
+    wads: ordered.map(s => s.wad),
+  };
+};
+
+module.exports = {
+  MAX_STEPS,
+  loadGraph,
+  findMaxFlow,
+  findTransferSteps,
+};
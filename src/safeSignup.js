@@ -0,0 +1,45 @@
+const Web3 = require('web3');
+
+const { keccak256, soliditySha3, toChecksumAddress } = Web3.utils;
+
+const strip = hex => hex.replace(/^0x/, '').toLowerCase();
+
+// The address ProxyFactory.createProxyWithNonce deploys a proxy of
+// masterCopy to with CREATE2, given the proxy's creation code (from
+// ProxyFactory.proxyCreationCode), the setup call and the salt nonce
+const computeSafeAddress = ({
+  proxyFactory, masterCopy, proxyCreationCode, initializer, saltNonce,
+}) => {
+  const salt = soliditySha3(
+    { t: 'bytes32', v: keccak256(initializer) },
+    { t: 'uint256', v: saltNonce.toString() },
+  );
+  const initCode = `0x${strip(proxyCreationCode)}${strip(masterCopy).padStart(64, '0')}`;
+  const hash = keccak256(`0x${['ff', strip(proxyFactory), strip(salt), strip(keccak256(initCode))].join('')}`);
+  return toChecksumAddress(`0x${hash.slice(-40)}`);
+};
+
+// The address factory.deploySafe(owners, threshold, name, saltNonce) will
+// deploy the Safe to, for a truffle SafeSignupFactory instance
+const predictSafeAddress = async (factory, {
+  owners, threshold, name, saltNonce,
+}) => {
+  const { web3 } = factory.constructor;
+  const [proxyFactory, masterCopy, initializer] = await Promise.all([
+    factory.proxyFactory(),
+    factory.masterCopy(),
+    factory.initializer(owners, threshold, name),
+  ]);
+  const proxyCreationCode = web3.eth.abi.decodeParameter('bytes', await web3.eth.call({
+    to: proxyFactory,
+    data: web3.eth.abi.encodeFunctionSignature('proxyCreationCode()'),
+  }));
+  return computeSafeAddress({
+    proxyFactory, masterCopy, proxyCreationCode, initializer, saltNonce,
+  });
+};
+
+module.exports = {
+  computeSafeAddress,
+  predictSafeAddress,
+};
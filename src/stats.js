@@ -0,0 +1,38 @@
+const Web3 = require('web3');
+
+const { BN } = Web3.utils;
+
+const COUNTERS = ['userCount', 'trustEdgeCount', 'totalMinted'];
+
+// The hub's counters, as of block (the latest by default)
+const readStats = async (hub, block = 'latest') => {
+  const values = await Promise.all(COUNTERS.map(counter => hub[counter](block)));
+  return COUNTERS.reduce((stats, counter, i) => Object.assign(stats, {
+    [counter]: new BN(values[i].toString()),
+  }), {});
+};
+
+// The same numbers worked out from the events an indexer replayed. They only
+// add up to the hub's if the indexer started at the hub's deployment.
+const replayStats = indexer => ({
+  userCount: new BN(indexer.users().length),
+  trustEdgeCount: new BN(indexer.trustEdges().length),
+  totalMinted: indexer.totalMinted(),
+});
+
+// Reads the hub's counters at the block the indexer last synced to, and
+// compares them with the replay. mismatches names the counters that differ.
+const checkStats = async (hub, indexer) => {
+  const head = indexer.head();
+  const onChain = await readStats(hub, head ? head.number : 'latest');
+  const replayed = replayStats(indexer);
+  const mismatches = COUNTERS.filter(counter => !onChain[counter].eq(replayed[counter]));
+  return { onChain, replayed, mismatches };
+};
+
+module.exports = {
+  COUNTERS,
+  readStats,
+  replayStats,
+  checkStats,
+};
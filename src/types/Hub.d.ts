@@ -0,0 +1,154 @@
+// Generated by scripts/generate-types.js from build/contracts/Hub.json, do not edit.
+
+import BN = require('bn.js');
+import { TransactionDetails, TransactionResult } from './truffle';
+
+export interface SignupEventArgs {
+  user: string;
+  token: string;
+}
+
+export interface OrganizationSignupEventArgs {
+  organization: string;
+}
+
+export interface TrustEventArgs {
+  canSendTo: string;
+  user: string;
+  limit: BN;
+  expiry: BN;
+  absolute: boolean;
+}
+
+export interface HubTransferEventArgs {
+  from: string;
+  to: string;
+  amount: BN;
+}
+
+export interface UpdateManyEventArgs {
+  caller: string;
+  updated: BN;
+  skipped: BN;
+  payout: BN;
+}
+
+export interface PausedEventArgs {
+  action: BN;
+}
+
+export interface UnpausedEventArgs {
+  action: BN;
+}
+
+export interface MigrationEventArgs {
+  from: string;
+  to: string;
+  token: string;
+}
+
+export interface ParameterChangeProposedEventArgs {
+  parameter: BN;
+  value: BN;
+  executableAt: BN;
+}
+
+export interface ParameterChangeCancelledEventArgs {
+  parameter: BN;
+}
+
+export interface ParameterChangedEventArgs {
+  parameter: BN;
+  value: BN;
+}
+
+export interface HubInstance {
+  address: string;
+  transactionHash: string;
+  abi: object[];
+  userCount(txDetails?: TransactionDetails): Promise<BN>;
+  maxFlowEdges(txDetails?: TransactionDetails): Promise<BN>;
+  divisor(txDetails?: TransactionDetails): Promise<BN>;
+  DOMAIN_TYPEHASH(txDetails?: TransactionDetails): Promise<string>;
+  userToToken(arg0: string, txDetails?: TransactionDetails): Promise<string>;
+  initialPayout(txDetails?: TransactionDetails): Promise<BN>;
+  DOMAIN_SEPARATOR(txDetails?: TransactionDetails): Promise<string>;
+  issuanceSums(arg0: number | string | BN, txDetails?: TransactionDetails): Promise<BN>;
+  maxHops(txDetails?: TransactionDetails): Promise<BN>;
+  migrated(arg0: string, txDetails?: TransactionDetails): Promise<boolean>;
+  expiries(arg0: string, arg1: string, txDetails?: TransactionDetails): Promise<BN>;
+  organizations(arg0: string, txDetails?: TransactionDetails): Promise<boolean>;
+  paused(arg0: number | string | BN, txDetails?: TransactionDetails): Promise<boolean>;
+  WAD(txDetails?: TransactionDetails): Promise<BN>;
+  absoluteLimits(arg0: string, arg1: string, txDetails?: TransactionDetails): Promise<boolean>;
+  baseIssuance(txDetails?: TransactionDetails): Promise<BN>;
+  nonces(arg0: string, txDetails?: TransactionDetails): Promise<BN>;
+  MAX_PARAMETER_DELAY(txDetails?: TransactionDetails): Promise<BN>;
+  owner(txDetails?: TransactionDetails): Promise<string>;
+  symbol(txDetails?: TransactionDetails): Promise<string>;
+  demurrage(txDetails?: TransactionDetails): Promise<boolean>;
+  TRUST_TYPEHASH(txDetails?: TransactionDetails): Promise<string>;
+  chainId(txDetails?: TransactionDetails): Promise<BN>;
+  parameterDelay(txDetails?: TransactionDetails): Promise<BN>;
+  tokenToUser(arg0: string, txDetails?: TransactionDetails): Promise<string>;
+  totalMinted(txDetails?: TransactionDetails): Promise<BN>;
+  limits(arg0: string, arg1: string, txDetails?: TransactionDetails): Promise<BN>;
+  trustEdgeCount(txDetails?: TransactionDetails): Promise<BN>;
+  inflation(txDetails?: TransactionDetails): Promise<BN>;
+  TRANSFER_THROUGH_TYPEHASH(txDetails?: TransactionDetails): Promise<string>;
+  SIGNUP_TYPEHASH(txDetails?: TransactionDetails): Promise<string>;
+  basePeriod(txDetails?: TransactionDetails): Promise<BN>;
+  deployedAt(txDetails?: TransactionDetails): Promise<BN>;
+  period(txDetails?: TransactionDetails): Promise<BN>;
+  maxAccrual(txDetails?: TransactionDetails): Promise<BN>;
+  pendingChanges(arg0: number | string | BN, txDetails?: TransactionDetails): Promise<{ 0: BN; value: BN; 1: BN; executableAt: BN; }>;
+  initialIssuance(txDetails?: TransactionDetails): Promise<BN>;
+  periods(txDetails?: TransactionDetails): Promise<BN>;
+  issuance(txDetails?: TransactionDetails): Promise<BN>;
+  issuanceStep(_periods: number | string | BN, txDetails?: TransactionDetails): Promise<BN>;
+  inflate(_initial: number | string | BN, _periods: number | string | BN, txDetails?: TransactionDetails): Promise<BN>;
+  deflate(_initial: number | string | BN, _periods: number | string | BN, txDetails?: TransactionDetails): Promise<BN>;
+  compound(_periods: number | string | BN, txDetails?: TransactionDetails): Promise<BN>;
+  checkpoint(txDetails?: TransactionDetails): Promise<TransactionResult>;
+  checkpointed(txDetails?: TransactionDetails): Promise<BN>;
+  issuanceBetween(_from: number | string | BN, _to: number | string | BN, txDetails?: TransactionDetails): Promise<BN>;
+  changeOwner(_newOwner: string, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  proposeParameterChange(parameter: number | string | BN, value: number | string | BN, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  cancelParameterChange(parameter: number | string | BN, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  executeParameterChange(parameter: number | string | BN, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  updateSymbol(_symbol: string, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  updateMaxHops(_maxHops: number | string | BN, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  updateMaxFlowEdges(_maxFlowEdges: number | string | BN, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  pause(action: number | string | BN, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  unpause(action: number | string | BN, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  time(txDetails?: TransactionDetails): Promise<BN>;
+  signup(_name: string, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  signupFor(user: string, _name: string, deadline: number | string | BN, v: number | string | BN, r: string, s: string, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  metadata(user: string, txDetails?: TransactionDetails): Promise<{ 0: string; uri: string; 1: string; hash: string; }>;
+  organizationSignup(txDetails?: TransactionDetails): Promise<TransactionResult>;
+  trust(user: string, limit: number | string | BN, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  trustAmount(user: string, amount: number | string | BN, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  trustUntil(user: string, limit: number | string | BN, expiry: number | string | BN, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  trustBySig(canSendTo: string, user: string, limit: number | string | BN, deadline: number | string | BN, v: number | string | BN, r: string, s: string, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  trusting(user: string, offset: number | string | BN, count: number | string | BN, txDetails?: TransactionDetails): Promise<string[]>;
+  trustedBy(user: string, offset: number | string | BN, count: number | string | BN, txDetails?: TransactionDetails): Promise<string[]>;
+  trustingCount(user: string, txDetails?: TransactionDetails): Promise<BN>;
+  trustedByCount(user: string, txDetails?: TransactionDetails): Promise<BN>;
+  trustLimit(canSendTo: string, user: string, txDetails?: TransactionDetails): Promise<BN>;
+  migrate(newOwner: string, trusted: string[], trusters: string[], txDetails?: TransactionDetails): Promise<TransactionResult>;
+  recordMint(amount: number | string | BN, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  updateMany(users: string[], txDetails?: TransactionDetails): Promise<TransactionResult>;
+  pow(base: number | string | BN, exponent: number | string | BN, txDetails?: TransactionDetails): Promise<BN>;
+  rpow(x: number | string | BN, n: number | string | BN, txDetails?: TransactionDetails): Promise<BN>;
+  checkSendLimit(tokenOwner: string, src: string, dest: string, txDetails?: TransactionDetails): Promise<BN>;
+  transferToken(tokenOwner: string, dest: string, wad: number | string | BN, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  transferThrough(tokenOwners: string[], srcs: string[], dests: string[], wads: (number | string | BN)[], txDetails?: TransactionDetails): Promise<TransactionResult>;
+  transferThroughBySig(from: string, tokenOwners: string[], srcs: string[], dests: string[], wads: (number | string | BN)[], deadline: number | string | BN, v: number | string | BN, r: string, s: string, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  transferThroughFlow(to: string, tokenOwners: string[], srcs: string[], dests: string[], wads: (number | string | BN)[], txDetails?: TransactionDetails): Promise<TransactionResult>;
+}
+
+export interface HubContract {
+  abi: object[];
+  at(address: string): Promise<HubInstance>;
+  'new'(_owner: string, _inflation: number | string | BN, _period: number | string | BN, _symbol: string, _initialPayout: number | string | BN, _initialIssuance: number | string | BN, _chainId: number | string | BN, txDetails?: TransactionDetails): Promise<HubInstance>;
+}
@@ -0,0 +1,28 @@
+// Generated by scripts/generate-types.js from build/contracts/SafeSignupFactory.json, do not edit.
+
+import BN = require('bn.js');
+import { TransactionDetails, TransactionResult } from './truffle';
+
+export interface SafeSignupEventArgs {
+  safe: string;
+  token: string;
+}
+
+export interface SafeSignupFactoryInstance {
+  address: string;
+  transactionHash: string;
+  abi: object[];
+  hub(txDetails?: TransactionDetails): Promise<string>;
+  self(txDetails?: TransactionDetails): Promise<string>;
+  masterCopy(txDetails?: TransactionDetails): Promise<string>;
+  proxyFactory(txDetails?: TransactionDetails): Promise<string>;
+  deploySafe(owners: string[], threshold: number | string | BN, name: string, saltNonce: number | string | BN, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  initializer(owners: string[], threshold: number | string | BN, name: string, txDetails?: TransactionDetails): Promise<string>;
+  signup(_hub: string, name: string, txDetails?: TransactionDetails): Promise<TransactionResult>;
+}
+
+export interface SafeSignupFactoryContract {
+  abi: object[];
+  at(address: string): Promise<SafeSignupFactoryInstance>;
+  'new'(_hub: string, _proxyFactory: string, _masterCopy: string, txDetails?: TransactionDetails): Promise<SafeSignupFactoryInstance>;
+}
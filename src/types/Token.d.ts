@@ -0,0 +1,77 @@
+// Generated by scripts/generate-types.js from build/contracts/Token.json, do not edit.
+
+import BN = require('bn.js');
+import { TransactionDetails, TransactionResult } from './truffle';
+
+export interface ForfeitedEventArgs {
+  owner: string;
+  amount: BN;
+}
+
+export interface MetadataUpdatedEventArgs {
+  owner: string;
+  uri: string;
+  hash: string;
+}
+
+export interface TransferEventArgs {
+  from: string;
+  to: string;
+  value: BN;
+}
+
+export interface ApprovalEventArgs {
+  owner: string;
+  spender: string;
+  value: BN;
+}
+
+export interface TokenInstance {
+  address: string;
+  transactionHash: string;
+  abi: object[];
+  metadataURI(txDetails?: TransactionDetails): Promise<string>;
+  name(txDetails?: TransactionDetails): Promise<string>;
+  inflationOffset(txDetails?: TransactionDetails): Promise<BN>;
+  PERMIT_TYPEHASH(txDetails?: TransactionDetails): Promise<string>;
+  decimals(txDetails?: TransactionDetails): Promise<BN>;
+  DOMAIN_SEPARATOR(txDetails?: TransactionDetails): Promise<string>;
+  hub(txDetails?: TransactionDetails): Promise<string>;
+  nonces(arg0: string, txDetails?: TransactionDetails): Promise<BN>;
+  lastTouched(txDetails?: TransactionDetails): Promise<BN>;
+  owner(txDetails?: TransactionDetails): Promise<string>;
+  demurrage(txDetails?: TransactionDetails): Promise<boolean>;
+  metadataHash(txDetails?: TransactionDetails): Promise<string>;
+  currentIssuance(txDetails?: TransactionDetails): Promise<BN>;
+  time(txDetails?: TransactionDetails): Promise<BN>;
+  symbol(txDetails?: TransactionDetails): Promise<string>;
+  inflation(txDetails?: TransactionDetails): Promise<BN>;
+  divisor(txDetails?: TransactionDetails): Promise<BN>;
+  period(txDetails?: TransactionDetails): Promise<BN>;
+  periods(txDetails?: TransactionDetails): Promise<BN>;
+  periodsLastTouched(txDetails?: TransactionDetails): Promise<BN>;
+  hubDeploy(txDetails?: TransactionDetails): Promise<BN>;
+  findInflationOffset(txDetails?: TransactionDetails): Promise<BN>;
+  look(txDetails?: TransactionDetails): Promise<BN>;
+  forfeited(txDetails?: TransactionDetails): Promise<BN>;
+  accrualStart(txDetails?: TransactionDetails): Promise<BN>;
+  update(txDetails?: TransactionDetails): Promise<TransactionResult>;
+  balanceOf(account: string, txDetails?: TransactionDetails): Promise<BN>;
+  totalSupply(txDetails?: TransactionDetails): Promise<BN>;
+  changeOwner(_owner: string, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  updateMetadata(uri: string, hash: string, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  hubTransfer(from: string, to: string, amount: number | string | BN, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  transfer(dst: string, wad: number | string | BN, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  transferFrom(from: string, to: string, value: number | string | BN, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  allowance(_owner: string, spender: string, txDetails?: TransactionDetails): Promise<BN>;
+  approve(spender: string, value: number | string | BN, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  increaseAllowance(spender: string, addedValue: number | string | BN, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  decreaseAllowance(spender: string, subtractedValue: number | string | BN, txDetails?: TransactionDetails): Promise<TransactionResult>;
+  permit(_owner: string, spender: string, value: number | string | BN, deadline: number | string | BN, v: number | string | BN, r: string, s: string, txDetails?: TransactionDetails): Promise<TransactionResult>;
+}
+
+export interface TokenContract {
+  abi: object[];
+  at(address: string): Promise<TokenInstance>;
+  'new'(_owner: string, _name: string, initialPayout: number | string | BN, txDetails?: TransactionDetails): Promise<TokenInstance>;
+}
@@ -0,0 +1,25 @@
+// The parts of truffle-contract the generated declarations rely on.
+
+import BN = require('bn.js');
+
+export interface TransactionDetails {
+  from?: string;
+  gas?: number | string | BN;
+  gasPrice?: number | string | BN;
+  value?: number | string | BN;
+}
+
+export interface TransactionLog {
+  event: string;
+  address: string;
+  args: { [name: string]: any };
+  blockNumber: number;
+  logIndex: number;
+  transactionHash: string;
+}
+
+export interface TransactionResult {
+  tx: string;
+  receipt: { [name: string]: any };
+  logs: TransactionLog[];
+}
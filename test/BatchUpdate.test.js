@@ -0,0 +1,133 @@
+const ganache = require('ganache-cli');
+const truffleContract = require('truffle-contract');
+const Web3 = require('web3');
+const { BigNumber, CHAIN_ID } = require('./helpers/constants');
+const { bn } = require('./helpers/math');
+const { increase } = require('./helpers/increaseTime');
+const { planBatches, updateInBatches } = require('../src/batchUpdate');
+
+require('chai')
+  .use(require('chai-bn')(BigNumber))
+  .should();
+
+const Hub = artifacts.require('MockHub');
+const Token = artifacts.require('Token');
+const TokenFactory = artifacts.require('TokenFactory');
+
+// a chain of its own, whose blocks have room for a hub but not for updating
+// everyone at once, so estimating updateMany for the whole list fails
+const BLOCK_GAS_LIMIT = 8000000;
+const LOW_LIMIT_USERS = 120;
+
+const send = (provider, method, params = []) => new Promise((resolve, reject) => {
+  provider.send({
+    jsonrpc: '2.0', method, params, id: Date.now(),
+  }, (err, response) => (err ? reject(err) : resolve(response.result)));
+});
+
+contract('BatchUpdate', ([_, systemOwner, relayer, ...users]) => { // eslint-disable-line no-unused-vars
+  let hub = null;
+  let gasLimit = null;
+
+  const inflation = bn(275);
+  const period = bn(7885000000);
+  const symbol = 'CRC';
+  const initialPayout = bn(100);
+  const tokenName = 'testToken';
+
+  const deployOnLowLimitChain = async () => {
+    const provider = ganache.provider({
+      gasLimit: BLOCK_GAS_LIMIT, total_accounts: LOW_LIMIT_USERS + 1,
+    });
+    const lowWeb3 = new Web3(provider);
+    const [owner, ...accounts] = await lowWeb3.eth.getAccounts();
+    const LowFactory = truffleContract({ abi: TokenFactory.abi, bytecode: TokenFactory.bytecode });
+    const LowHub = truffleContract({ abi: Hub.abi, bytecode: Hub.bytecode });
+    LowFactory.setProvider(provider);
+    LowHub.setProvider(provider);
+    const factory = await LowFactory.new({ from: owner, gas: BLOCK_GAS_LIMIT });
+    LowHub.setNetwork(await lowWeb3.eth.net.getId());
+    LowHub.link('TokenFactory', factory.address);
+    const hub = await LowHub.new(owner, inflation, period, symbol, initialPayout, initialPayout,
+      CHAIN_ID, { from: owner, gas: BLOCK_GAS_LIMIT });
+    for (let i = 0; i < accounts.length; i += 1) {
+      await hub.signup(tokenName, { from: accounts[i], gas: BLOCK_GAS_LIMIT }); // eslint-disable-line no-await-in-loop
+    }
+    await send(provider, 'evm_increaseTime', [period.toNumber()]);
+    await send(provider, 'evm_mine');
+    return { hub, owner, accounts };
+  };
+
+  beforeEach(async () => {
+    hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+    for (let i = 0; i < users.length; i += 1) {
+      await hub.signup(tokenName, { from: users[i] }); // eslint-disable-line no-await-in-loop
+    }
+    await increase(period.toNumber());
+    // room for two users a batch, but not three
+    const two = await hub.updateMany.estimateGas(users.slice(0, 2), { from: relayer });
+    const three = await hub.updateMany.estimateGas(users.slice(0, 3), { from: relayer });
+    gasLimit = Math.ceil(two * 1.1) + Math.floor((three - two) / 2);
+  });
+
+  describe('planning batches', async () => {
+    it('puts everyone in one batch when the block has room', async () => {
+      const batches = await planBatches(hub, users, { from: relayer });
+      batches.length.should.be.equal(1);
+      batches[0].users.should.deep.equal(users);
+    });
+
+    it('keeps every batch under the gas limit', async () => {
+      const batches = await planBatches(hub, users, { gasLimit, from: relayer });
+      batches.length.should.be.above(1);
+      batches.forEach(batch => batch.gas.should.be.at.most(gasLimit));
+    });
+
+    it('keeps every user, in order', async () => {
+      const batches = await planBatches(hub, users, { gasLimit, from: relayer });
+      batches.reduce((all, batch) => all.concat(batch.users), []).should.deep.equal(users);
+    });
+
+    it('throws when a single user does not fit', async () => {
+      let error = null;
+      try {
+        await planBatches(hub, users, { gasLimit: 21000, from: relayer });
+      } catch (e) {
+        error = e;
+      }
+      error.message.should.match(/more than the limit/);
+    });
+  });
+
+  describe('when the whole list needs more gas than a block has', async () => {
+    let low = null;
+
+    before(async () => {
+      low = await deployOnLowLimitChain();
+    });
+
+    it('splits it into batches that fit in a block', async () => {
+      const batches = await planBatches(low.hub, low.accounts, { from: low.owner });
+      batches.length.should.be.above(1);
+      batches.forEach(batch => batch.gas.should.be.at.most(BLOCK_GAS_LIMIT));
+      batches.reduce((all, batch) => all.concat(batch.users), []).should.deep.equal(low.accounts);
+    });
+  });
+
+  describe('sending batches', async () => {
+    it('pays out every user', async () => {
+      await updateInBatches(hub, users, { gasLimit, from: relayer });
+      for (let i = 0; i < users.length; i += 1) {
+        const token = await Token.at(await hub.userToToken(users[i])); // eslint-disable-line no-await-in-loop
+        (await token.balanceOf(users[i])).should.be.bignumber.above(initialPayout); // eslint-disable-line no-await-in-loop
+      }
+    });
+
+    it('sends one transaction per batch', async () => {
+      const batches = await planBatches(hub, users, { gasLimit, from: relayer });
+      const results = await updateInBatches(hub, users, { gasLimit, from: relayer });
+      results.length.should.be.equal(batches.length);
+    });
+  });
+});
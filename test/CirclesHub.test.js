@@ -0,0 +1,192 @@
+const { assertRevert } = require('./helpers/assertRevert');
+const { BigNumber, CHAIN_ID } = require('./helpers/constants');
+const { increase } = require('./helpers/increaseTime');
+const { bn } = require('./helpers/math');
+const { CirclesHub, toAmount } = require('../src');
+
+const should = require('chai')
+  .use(require('chai-bn')(BigNumber))
+  .should();
+
+const Hub = artifacts.require('MockHub');
+const Token = artifacts.require('Token');
+
+contract('CirclesHub', ([_, systemOwner, safeOwner, normalUser, thirdUser, newAddress]) => { // eslint-disable-line no-unused-vars
+  let hub = null;
+  let circles = null;
+
+  const inflation = bn(275);
+  const period = bn(7885000000);
+  const symbol = 'CRC';
+  const initialPayout = bn(100);
+  const tokenName = 'testToken';
+
+  const gas = 6721975;
+
+  beforeEach(async () => {
+    hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+    circles = new CirclesHub(hub, { Token });
+  });
+
+  describe('amounts', async () => {
+    it('keeps BNs as they are', async () => {
+      const amount = bn(42);
+      toAmount(amount).should.be.equal(amount);
+    });
+
+    it('reads strings of base units', async () => {
+      toAmount('100000000000000000000').should.be.bignumber.equal(bn('100000000000000000000'));
+    });
+
+    it('refuses numbers that have lost precision', async () => {
+      (() => toAmount(1e21)).should.throw();
+    });
+  });
+
+  describe('signing up', async () => {
+    it('signs up the sender', async () => {
+      await circles.signup(tokenName, { from: safeOwner });
+      const token = await circles.getToken(safeOwner);
+      (await token.owner()).should.be.equal(safeOwner);
+      (await token.name()).should.be.equal(tokenName);
+    });
+
+    it('sends from the default account', async () => {
+      await new CirclesHub(hub, { Token, from: normalUser }).signup(tokenName);
+      should.exist(await circles.getToken(normalUser));
+    });
+
+    it('works on a hub set up with at', async () => {
+      const atHub = await CirclesHub.at(hub.address, { Hub, Token, from: normalUser });
+      atHub.hub.address.should.be.equal(hub.address);
+      await atHub.signup(tokenName);
+      should.exist(await circles.getToken(normalUser));
+    });
+
+    it('signs up organizations', async () => {
+      await circles.organizationSignup({ from: thirdUser });
+      (await hub.organizations(thirdUser)).should.be.equal(true);
+    });
+
+    it('returns no token for users that have not signed up', async () => {
+      should.not.exist(await circles.getToken(thirdUser));
+    });
+  });
+
+  describe('trust and transfers', async () => {
+    beforeEach(async () => {
+      await circles.signup(tokenName, { from: safeOwner });
+      await circles.signup(tokenName, { from: normalUser });
+      await circles.signup(tokenName, { from: thirdUser });
+      await circles.trust(safeOwner, 50, { from: normalUser });
+      await circles.trust(normalUser, '30', { from: thirdUser });
+    });
+
+    it('sets trust', async () => {
+      (await hub.limits(thirdUser, normalUser)).should.be.bignumber.equal(bn(30));
+    });
+
+    it('sets trust that is an amount', async () => {
+      await circles.trustAmount(thirdUser, '500', { from: normalUser });
+      (await hub.limits(normalUser, thirdUser)).should.be.bignumber.equal(bn(500));
+      (await hub.absoluteLimits(normalUser, thirdUser)).should.be.equal(true);
+    });
+
+    it('sets trust that expires', async () => {
+      const expiry = new Date((await web3.eth.getBlock('latest')).timestamp * 1000 + 1000000);
+      await circles.trustUntil(thirdUser, 20, expiry, { from: normalUser });
+      (await hub.limits(normalUser, thirdUser)).should.be.bignumber.equal(bn(20));
+      (await hub.expiries(normalUser, thirdUser)).should.be.bignumber
+        .equal(bn(expiry.getTime() / 1000));
+    });
+
+    it('checks the send limit', async () => {
+      (await circles.checkSendLimit(safeOwner, safeOwner, normalUser))
+        .should.be.bignumber.equal(bn(50));
+    });
+
+    it('transfers along a list of steps', async () => {
+      await circles.transferThrough([
+        {
+          tokenOwner: safeOwner, src: safeOwner, dest: normalUser, wad: '20',
+        },
+        {
+          tokenOwner: normalUser, src: normalUser, dest: thirdUser, wad: bn(20),
+        },
+      ], { from: safeOwner, gas });
+      const token = await circles.getToken(normalUser);
+      (await token.balanceOf(thirdUser)).should.be.bignumber.equal(bn(20));
+    });
+
+    it('transfers along a path it found', async () => {
+      const path = await circles.findPath(safeOwner, thirdUser);
+      path.amount.should.be.bignumber.equal(bn(30));
+      await circles.transferThrough(path, { from: safeOwner, gas });
+      const token = await circles.getToken(safeOwner);
+      (await token.balanceOf(safeOwner)).should.be.bignumber.equal(bn(70));
+    });
+
+    it('transfers a single token directly', async () => {
+      await circles.transferToken(safeOwner, normalUser, '15', { from: safeOwner });
+      const token = await circles.getToken(safeOwner);
+      (await token.balanceOf(normalUser)).should.be.bignumber.equal(bn(15));
+    });
+
+    it('migrates with the trust that is still set', async () => {
+      await circles.trust(thirdUser, 10, { from: normalUser });
+      await circles.trust(thirdUser, 0, { from: normalUser });
+      const { logs } = await circles.migrate(newAddress, { from: normalUser });
+      (await hub.limits(newAddress, safeOwner)).should.be.bignumber.equal(bn(50));
+      (await hub.limits(thirdUser, newAddress)).should.be.bignumber.equal(bn(30));
+      logs.filter(log => log.event === 'Trust').should.have.lengthOf(6);
+    });
+
+    it('reverts invalid transfers', async () => {
+      await assertRevert(circles.transferThrough([{
+        tokenOwner: safeOwner, src: safeOwner, dest: thirdUser, wad: 10,
+      }], { from: safeOwner, gas }));
+    });
+  });
+
+  describe('pending ubi', async () => {
+    it('is zero for users that have not signed up', async () => {
+      (await circles.pendingUBI(thirdUser)).should.be.bignumber.equal(bn(0));
+    });
+
+    it('is what the token would mint', async () => {
+      await circles.signup(tokenName, { from: safeOwner });
+      await increase(1000);
+      const token = await circles.getToken(safeOwner);
+      // ganache reads the clock for every call, so a second can pass between
+      // them and add to the payout
+      const before = await token.look();
+      const pending = await circles.pendingUBI(safeOwner);
+      const after = await token.look();
+      pending.should.be.bignumber.gte(before);
+      pending.should.be.bignumber.lte(after);
+      pending.should.be.bignumber.gt(bn(0));
+    });
+  });
+
+  describe('metadata', async () => {
+    const uri = 'ipfs://QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+    const hash = web3.utils.keccak256('profile');
+
+    it('is set on the sender\'s token and read by user', async () => {
+      await circles.signup(tokenName, { from: safeOwner });
+      await circles.updateMetadata(uri, hash, { from: safeOwner });
+      (await circles.metadata(safeOwner)).should.be.deep.equal({ uri, hash });
+    });
+
+    it('can not be set before signing up', async () => {
+      let error = null;
+      try {
+        await circles.updateMetadata(uri, hash, { from: thirdUser });
+      } catch (e) {
+        error = e;
+      }
+      error.message.should.match(/has not signed up/);
+    });
+  });
+});
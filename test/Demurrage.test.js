@@ -0,0 +1,173 @@
+const { assertRevert } = require('./helpers/assertRevert');
+const { BigNumber, CHAIN_ID } = require('./helpers/constants');
+const {
+  bn, convertToBaseUnit, ubiPayout, demurragePayout, near, inflate, deflate,
+} = require('./helpers/math');
+const { increase } = require('./helpers/increaseTime');
+
+const MockHub = artifacts.require('MockHub');
+const DemurrageHub = artifacts.require('DemurrageHub');
+const Token = artifacts.require('Token');
+
+require('chai')
+  .use(require('chai-bn')(BigNumber))
+  .should();
+
+const inflation = bn(107);
+const divisor = bn(100);
+const period = bn(7885000000);
+const symbol = 'CRC';
+const tokenName = 'MyCoin';
+const initialPayout = convertToBaseUnit(100);
+const initialIssuance = bn(1000000);
+
+// Hub.Parameter
+const INFLATION = 0;
+
+// the same elapsed times, for both modes
+const fixtures = [
+  { name: 'at signup', elapsed: bn(0), periods: 0 },
+  { name: 'after a few seconds', elapsed: bn(10), periods: 0 },
+  { name: 'after 1 period', elapsed: period, periods: 1 },
+  { name: 'after 1 period and a bit', elapsed: period.add(bn(500)), periods: 1 },
+  { name: 'after 3 periods', elapsed: period.mul(bn(3)), periods: 3 },
+];
+
+const modes = [
+  { name: 'inflation', Hub: MockHub, payout: ubiPayout },
+  { name: 'demurrage', Hub: DemurrageHub, payout: demurragePayout },
+];
+
+const findPayout = async (token, payout) => payout(
+  initialIssuance,
+  await token.lastTouched(),
+  await token.time(),
+  await token.inflationOffset(),
+  inflation,
+  divisor,
+  period,
+  await token.hubDeploy(),
+);
+
+// the amount the last mint or transfer of token stored, which is what its
+// Transfer events carry
+const storedAmount = ({ logs }) => logs.find(log => log.event === 'Transfer').args.value;
+
+contract('Demurrage', ([_, owner, recipient, attacker, systemOwner]) => { // eslint-disable-line no-unused-vars
+  let hub = null;
+  let token = null;
+
+  const deploy = async (Hub) => {
+    hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialIssuance,
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+    const signup = await hub.signup(tokenName, { from: owner });
+    token = await Token.at(signup.logs[1].args.token);
+  };
+
+  modes.forEach((mode) => {
+    describe(`ubi payouts in ${mode.name} mode`, () => {
+      beforeEach(async () => {
+        await deploy(mode.Hub);
+      });
+
+      fixtures.forEach(({ name, elapsed, periods }) => {
+        it(`matches the js payout ${name}`, async () => {
+          if (!elapsed.isZero()) await increase(elapsed.toNumber());
+          // a second can pass between reading the time and calling look
+          const rate = await hub.issuance();
+          const goal = await findPayout(token, mode.payout);
+          const payout = await token.look();
+          payout.should.bignumber.satisfy(() => near(payout, goal, rate));
+          if (mode.name === 'demurrage') {
+            rate.should.be.bignumber.equal(initialIssuance);
+          } else {
+            rate.should.be.bignumber.equal(inflate(initialIssuance, inflation, divisor, periods));
+          }
+        });
+      });
+    });
+  });
+
+  describe('balances in demurrage mode', () => {
+    beforeEach(async () => {
+      await deploy(DemurrageHub);
+    });
+
+    it('knows it is in demurrage mode', async () => {
+      (await hub.demurrage()).should.be.equal(true);
+      (await token.demurrage()).should.be.equal(true);
+    });
+
+    it('start at the initial payout', async () => {
+      (await token.balanceOf(owner)).should.be.bignumber.equal(initialPayout);
+    });
+
+    fixtures.forEach(({ name, elapsed, periods }) => {
+      it(`decay by the inflation ${name}`, async () => {
+        if (!elapsed.isZero()) await increase(elapsed.toNumber());
+        const goal = deflate(initialPayout, inflation, divisor, periods);
+        (await token.balanceOf(owner)).should.be.bignumber.equal(goal);
+        (await token.totalSupply()).should.be.bignumber.equal(goal);
+      });
+    });
+
+    it('add the payout at its full value', async () => {
+      await increase(period.toNumber());
+      const tx = await token.update();
+      const gift = storedAmount(tx);
+      const goal = deflate(initialPayout.add(gift), inflation, divisor, 1);
+      (await token.balanceOf(owner)).should.be.bignumber.equal(goal);
+    });
+
+    it('decay what was paid out in later periods', async () => {
+      await increase(period.toNumber());
+      const gift = storedAmount(await token.update());
+      await increase(period.toNumber());
+      const goal = deflate(initialPayout.add(gift), inflation, divisor, 2);
+      (await token.balanceOf(owner)).should.be.bignumber.equal(goal);
+    });
+
+    it('transfer what is shown', async () => {
+      await increase(period.toNumber());
+      const amount = convertToBaseUnit(50);
+      const tx = await token.transfer(recipient, amount, { from: owner });
+      storedAmount(tx).should.be.bignumber.equal(inflate(amount, inflation, divisor, 1));
+      const received = await token.balanceOf(recipient);
+      received.should.bignumber.satisfy(() => near(received, amount, bn(1)));
+    });
+
+    it('can all be transferred', async () => {
+      await increase(period.toNumber());
+      const balance = await token.balanceOf(owner);
+      await token.transfer(recipient, balance, { from: owner });
+      (await token.balanceOf(owner)).should.be.bignumber.below(bn(2));
+    });
+
+    it('are what the hub checks trust limits against', async () => {
+      await hub.signup(tokenName, { from: recipient });
+      await hub.trust(owner, 100, { from: recipient });
+      await increase(period.toNumber());
+      const balance = await token.balanceOf(owner);
+      await hub.transferThrough([owner], [owner], [recipient], [balance],
+        { from: owner, gas: 6721975 });
+      const received = await token.balanceOf(recipient);
+      received.should.bignumber.satisfy(() => near(received, balance, bn(1)));
+    });
+
+    it('can not have the inflation changed under them', async () => {
+      await assertRevert(hub.proposeParameterChange(INFLATION, 109, { from: systemOwner }),
+        'Inflation can\'t change in demurrage mode');
+    });
+  });
+
+  describe('balances in inflation mode', () => {
+    beforeEach(async () => {
+      await deploy(MockHub);
+    });
+
+    it('do not decay', async () => {
+      await increase(period.mul(bn(3)).toNumber());
+      (await token.balanceOf(owner)).should.be.bignumber.equal(initialPayout);
+    });
+  });
+});
@@ -0,0 +1,210 @@
+const { assertRevert } = require('./helpers/assertRevert');
+const expectEvent = require('./helpers/expectEvent');
+const { BigNumber, CHAIN_ID } = require('./helpers/constants');
+const { bn } = require('./helpers/math');
+
+require('chai')
+  .use(require('chai-bn')(BigNumber))
+  .should();
+
+const Hub = artifacts.require('MockHub');
+const Token = artifacts.require('Token');
+const GroupCurrency = artifacts.require('GroupCurrency');
+
+contract('GroupCurrency', ([_, systemOwner, groupOwner, member, otherMember, outsider, attacker]) => { // eslint-disable-line no-unused-vars
+  let hub = null;
+  let group = null;
+  let memberToken = null;
+  let otherToken = null;
+
+  const inflation = bn(275);
+  const period = bn(7885000000);
+  const symbol = 'CRC';
+  const initialPayout = bn(100);
+  const tokenName = 'testToken';
+
+  const gas = 6721975;
+
+  const deposit = async (token, from, amount) => {
+    await token.approve(group.address, amount, { from });
+    return group.mint(await token.owner(), amount, { from, gas });
+  };
+
+  beforeEach(async () => {
+    hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+    await hub.signup(tokenName, { from: member });
+    await hub.signup(tokenName, { from: otherMember });
+    await hub.signup(tokenName, { from: outsider });
+    memberToken = await Token.at(await hub.userToToken(member));
+    otherToken = await Token.at(await hub.userToToken(otherMember));
+    group = await GroupCurrency.new(hub.address, groupOwner, 'Neighbourhood', 'NBH',
+      { from: groupOwner, gas });
+    await group.trust(member, 100, { from: groupOwner });
+    await group.trust(otherMember, 100, { from: groupOwner });
+  });
+
+  describe('setting up', async () => {
+    it('signs up to the hub as an organization', async () => {
+      (await hub.organizations(group.address)).should.be.equal(true);
+    });
+
+    it('has a name and symbol', async () => {
+      (await group.name()).should.be.equal('Neighbourhood');
+      (await group.symbol()).should.be.equal('NBH');
+    });
+
+    it('trusts members in the hub', async () => {
+      (await hub.limits(group.address, member)).should.be.bignumber.equal(bn(100));
+    });
+
+    it('attacker cannot change who the group trusts', async () => {
+      await assertRevert(group.trust(outsider, 100, { from: attacker }));
+    });
+
+    it('attacker cannot change the owner', async () => {
+      await assertRevert(group.changeOwner(attacker, { from: attacker }));
+    });
+  });
+
+  describe('minting', async () => {
+    it('mints 1:1 for a trusted token', async () => {
+      await deposit(memberToken, member, bn(40));
+      (await group.balanceOf(member)).should.be.bignumber.equal(bn(40));
+      (await group.totalSupply()).should.be.bignumber.equal(bn(40));
+    });
+
+    it('holds the collateral', async () => {
+      await deposit(memberToken, member, bn(40));
+      (await memberToken.balanceOf(group.address)).should.be.bignumber.equal(bn(40));
+      (await memberToken.balanceOf(member)).should.be.bignumber.equal(bn(60));
+    });
+
+    it('emits an event', async () => {
+      const { logs } = await deposit(memberToken, member, bn(40));
+      expectEvent.inLogs(logs, 'Mint', { depositor: member, tokenOwner: member })
+        .args.amount.should.be.bignumber.equal(bn(40));
+    });
+
+    it('accepts other members\' tokens from anyone who holds them', async () => {
+      await otherToken.transfer(outsider, bn(30), { from: otherMember });
+      await deposit(otherToken, outsider, bn(30));
+      (await group.balanceOf(outsider)).should.be.bignumber.equal(bn(30));
+    });
+
+    it('throws for tokens the group does not trust', async () => {
+      const token = await Token.at(await hub.userToToken(outsider));
+      await token.approve(group.address, bn(10), { from: outsider });
+      await assertRevert(group.mint(outsider, bn(10), { from: outsider, gas }),
+        'Group does not accept this much of the token');
+    });
+
+    it('throws once trust is removed', async () => {
+      await group.trust(member, 0, { from: groupOwner });
+      await assertRevert(deposit(memberToken, member, bn(10)));
+    });
+
+    it('throws past an amount the group set', async () => {
+      await group.trustAmount(member, bn(25), { from: groupOwner });
+      await deposit(memberToken, member, bn(20));
+      await assertRevert(deposit(memberToken, member, bn(10)),
+        'Group does not accept this much of the token');
+    });
+
+    it('throws without an approval', async () => {
+      await assertRevert(group.mint(member, bn(10), { from: member, gas }));
+    });
+
+    it('throws for users without a token', async () => {
+      await assertRevert(group.mint(attacker, bn(10), { from: attacker, gas }));
+    });
+  });
+
+  describe('redeeming', async () => {
+    beforeEach(async () => {
+      await deposit(memberToken, member, bn(40));
+      await deposit(otherToken, otherMember, bn(50));
+    });
+
+    it('burns the group currency and returns the collateral', async () => {
+      await group.redeem(member, bn(15), { from: member, gas });
+      (await group.balanceOf(member)).should.be.bignumber.equal(bn(25));
+      (await group.totalSupply()).should.be.bignumber.equal(bn(75));
+      (await memberToken.balanceOf(member)).should.be.bignumber.equal(bn(75));
+    });
+
+    it('can be into any token the group holds', async () => {
+      await group.redeem(otherMember, bn(40), { from: member, gas });
+      (await otherToken.balanceOf(member)).should.be.bignumber.equal(bn(40));
+      (await group.balanceOf(member)).should.be.bignumber.equal(bn(0));
+    });
+
+    it('emits an event', async () => {
+      const { logs } = await group.redeem(member, bn(15), { from: member, gas });
+      expectEvent.inLogs(logs, 'Redeem', { redeemer: member, tokenOwner: member })
+        .args.amount.should.be.bignumber.equal(bn(15));
+    });
+
+    it('works for tokens the group no longer trusts', async () => {
+      await group.trust(member, 0, { from: groupOwner });
+      await group.redeem(member, bn(40), { from: member, gas });
+      (await memberToken.balanceOf(member)).should.be.bignumber.equal(bn(100));
+    });
+
+    it('throws for more than the group holds of the token', async () => {
+      await group.transfer(otherMember, bn(10), { from: member });
+      await assertRevert(group.redeem(member, bn(45), { from: otherMember, gas }),
+        'Group does not hold this much of the token');
+    });
+
+    it('throws for more than the sender has', async () => {
+      await assertRevert(group.redeem(otherMember, bn(41), { from: member, gas }));
+    });
+  });
+
+  describe('as a hop in transferThrough', async () => {
+    beforeEach(async () => {
+      await deposit(otherToken, otherMember, bn(50));
+      await hub.trust(otherMember, 100, { from: outsider });
+    });
+
+    it('passes on collateral it holds in exchange for a token it trusts', async () => {
+      await hub.transferThrough(
+        [member, otherMember],
+        [member, group.address],
+        [group.address, outsider],
+        [bn(20), bn(20)],
+        { from: member, gas },
+      );
+      (await otherToken.balanceOf(outsider)).should.be.bignumber.equal(bn(20));
+      (await memberToken.balanceOf(group.address)).should.be.bignumber.equal(bn(20));
+      (await otherToken.balanceOf(group.address)).should.be.bignumber.equal(bn(30));
+    });
+
+    it('stays fully backed', async () => {
+      await hub.transferThrough(
+        [member, otherMember],
+        [member, group.address],
+        [group.address, outsider],
+        [bn(20), bn(20)],
+        { from: member, gas },
+      );
+      await group.redeem(member, bn(20), { from: otherMember, gas });
+      await group.redeem(otherMember, bn(30), { from: otherMember, gas });
+      (await group.totalSupply()).should.be.bignumber.equal(bn(0));
+    });
+
+    it('does not take tokens it does not trust', async () => {
+      const outsiderToken = await Token.at(await hub.userToToken(outsider));
+      await hub.trust(outsider, 100, { from: otherMember });
+      await assertRevert(hub.transferThrough(
+        [outsider, otherMember],
+        [outsider, group.address],
+        [group.address, otherMember],
+        [bn(20), bn(20)],
+        { from: outsider, gas },
+      ));
+      (await outsiderToken.balanceOf(group.address)).should.be.bignumber.equal(bn(0));
+    });
+  });
+});
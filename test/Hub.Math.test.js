@@ -1,9 +1,12 @@
-const { BigNumber } = require('./helpers/constants');
-const { bn, convertToBaseUnit, inflate } = require('./helpers/math');
+const { BigNumber, CHAIN_ID } = require('./helpers/constants');
+const {
+  bn, convertToBaseUnit, inflate, deflate, nearCompounded, issuanceStep,
+} = require('./helpers/math');
 const { assertRevert } = require('./helpers/assertRevert');
 const { increase } = require('./helpers/increaseTime');
 
 const Hub = artifacts.require('MockHub');
+const Token = artifacts.require('Token');
 
 require('chai')
   .use(require('chai-bn')(BigNumber))
@@ -20,7 +23,7 @@ contract('Hub - math utils', ([_, owner, recipient, attacker, systemOwner]) => {
 
   beforeEach(async () => {
     hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
-      { from: systemOwner, gas: 0xfffffffffff });
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
   });
 
   describe('power', () => {
@@ -114,29 +117,30 @@ contract('Hub - math utils', ([_, owner, recipient, attacker, systemOwner]) => {
   describe('inflate', () => {
     it('returns the correct inflation with no periods passed', async () => {
       hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
-        { from: systemOwner, gas: 0xfffffffffff });
+        CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
       (await hub.inflate(initialPayout, 0)).should.be.bignumber.equal(initialPayout);
     });
 
     it('returns the correct inflation with 1 period passed', async () => {
       hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
-        { from: systemOwner, gas: 0xfffffffffff });
+        CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
       const compounded = inflate(initialPayout, inflation, divisor, bn(1));
       (await hub.inflate(initialPayout, 1)).should.be.bignumber.equal(compounded);
     });
 
     it('returns the correct inflation with x periods passed', async () => {
       hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
-        { from: systemOwner, gas: 0xfffffffffff });
+        CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
       const compounded = inflate(initialPayout, inflation, divisor, bn(22));
-      (await hub.inflate(initialPayout, 22)).should.be.bignumber.equal(compounded);
+      const result = await hub.inflate(initialPayout, 22);
+      result.should.be.bignumber.satisfy(() => nearCompounded(result, compounded));
     });
 
     it('returns the correct inflation with no periods passed', async () => {
       const startingRate = bn(52);
       inflation = bn(1035);
       hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, startingRate,
-        { from: systemOwner, gas: 0xfffffffffff });
+        CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
       (await hub.inflate(startingRate, 0)).should.be.bignumber.equal(startingRate);
     });
 
@@ -144,7 +148,7 @@ contract('Hub - math utils', ([_, owner, recipient, attacker, systemOwner]) => {
       const startingRate = bn(2);
       inflation = bn(2035);
       hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, startingRate,
-        { from: systemOwner, gas: 0xfffffffffff });
+        CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
       const compounded = inflate(startingRate, inflation, bn(1000), bn(1));
       (await hub.inflate(startingRate, 1)).should.be.bignumber.equal(compounded);
     });
@@ -153,45 +157,172 @@ contract('Hub - math utils', ([_, owner, recipient, attacker, systemOwner]) => {
       const startingRate = bn(4562);
       inflation = bn(705);
       hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, startingRate,
-        { from: systemOwner, gas: 0xfffffffffff });
+        CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
       const compounded = inflate(startingRate, inflation, bn(100), bn(22));
       (await hub.inflate(startingRate, 22)).should.be.bignumber.equal(compounded);
     });
   });
 
+  describe('fixed point power', () => {
+    const WAD = bn(10).pow(bn(18));
+
+    it('returns 1 for exponent=0', async () => {
+      (await hub.rpow(WAD.mul(bn(3)), 0)).should.be.bignumber.equal(WAD);
+    });
+
+    it('returns the result of base^exponent', async () => {
+      (await hub.rpow(WAD.mul(bn(2)), 10)).should.be.bignumber.equal(WAD.mul(bn(1024)));
+    });
+
+    it('returns the result of base^exponent for fractions', async () => {
+      (await hub.rpow(WAD.div(bn(2)), 3)).should.be.bignumber.equal(WAD.div(bn(8)));
+    });
+
+    it('compounds inflation over divisor', async () => {
+      hub = await Hub.new(systemOwner, bn(107), period, symbol, initialPayout, initialPayout,
+        CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+      (await hub.compound(2)).should.be.bignumber.equal(bn('1144900000000000000'));
+    });
+  });
+
+  describe('long horizons', () => {
+    beforeEach(async () => {
+      inflation = bn(107);
+      hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
+        CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+    });
+
+    [30, 50, 100, 200, 400, 600].forEach((numPeriods) => {
+      it(`inflates accurately over ${numPeriods} periods`, async () => {
+        const compounded = inflate(initialPayout, inflation, divisor, bn(numPeriods));
+        const result = await hub.inflate(initialPayout, numPeriods);
+        result.should.be.bignumber.satisfy(() => nearCompounded(result, compounded));
+      });
+
+      it(`deflates accurately over ${numPeriods} periods`, async () => {
+        const decayed = deflate(initialPayout, inflation, divisor, bn(numPeriods));
+        const result = await hub.deflate(initialPayout, numPeriods);
+        result.should.be.bignumber.satisfy(() => nearCompounded(result, decayed));
+      });
+    });
+
+    it('inflates accurately over many periods with a small inflation', async () => {
+      inflation = bn(1035);
+      hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
+        CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+      const compounded = inflate(initialPayout, inflation, bn(1000), bn(500));
+      const result = await hub.inflate(initialPayout, 500);
+      result.should.be.bignumber.satisfy(() => nearCompounded(result, compounded));
+    });
+
+    it('returns the issuance after 100 periods', async () => {
+      await increase(period.mul(bn(100)).toNumber());
+      const compounded = inflate(initialPayout, inflation, divisor, bn(100));
+      const result = await hub.issuance();
+      result.should.be.bignumber.satisfy(() => nearCompounded(result, compounded));
+    });
+
+    it('tokens can still be updated after 40 periods', async () => {
+      const signup = await hub.signup('testToken', { from: owner });
+      const token = await Token.at(signup.logs[1].args.token);
+      await increase(period.mul(bn(40)).toNumber());
+      await token.update({ gas: 6721975 });
+      (await token.balanceOf(owner)).should.be.bignumber.above(initialPayout);
+    });
+  });
+
+  describe('issuance checkpoints', () => {
+    const sumSteps = (from, to) => {
+      let sum = bn(0);
+      for (let p = from; p < to; p += 1) {
+        sum = sum.add(issuanceStep(initialPayout, inflation, divisor, p));
+      }
+      return sum;
+    };
+
+    beforeEach(async () => {
+      inflation = bn(107);
+      hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
+        CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+    });
+
+    it('start with nothing checkpointed', async () => {
+      (await hub.checkpointed()).should.be.bignumber.equal(bn(0));
+      (await hub.issuanceSums(0)).should.be.bignumber.equal(bn(0));
+    });
+
+    it('record every period that has started', async () => {
+      await increase(period.mul(bn(3)).toNumber());
+      await hub.checkpoint();
+      (await hub.checkpointed()).should.be.bignumber.equal(bn(4));
+      (await hub.issuanceSums(4)).should.be.bignumber.equal(sumSteps(0, 4));
+    });
+
+    it('only record new periods when called again', async () => {
+      await hub.checkpoint();
+      await hub.checkpoint();
+      (await hub.checkpointed()).should.be.bignumber.equal(bn(1));
+      await increase(period.mul(bn(2)).toNumber());
+      await hub.checkpoint();
+      (await hub.checkpointed()).should.be.bignumber.equal(bn(3));
+      (await hub.issuanceSums(3)).should.be.bignumber.equal(sumSteps(0, 3));
+    });
+
+    it('add up the issuance between two periods without checkpoints', async () => {
+      (await hub.issuanceBetween(2, 7)).should.be.bignumber.equal(sumSteps(2, 7));
+    });
+
+    it('add up the issuance between two periods from checkpoints', async () => {
+      await increase(period.mul(bn(8)).toNumber());
+      await hub.checkpoint();
+      (await hub.issuanceBetween(2, 7)).should.be.bignumber.equal(sumSteps(2, 7));
+    });
+
+    it('add up the issuance past the last checkpoint', async () => {
+      await increase(period.mul(bn(3)).toNumber());
+      await hub.checkpoint();
+      (await hub.issuanceBetween(2, 9)).should.be.bignumber.equal(sumSteps(2, 9));
+    });
+
+    it('add up to 0 for an empty range', async () => {
+      (await hub.issuanceBetween(3, 3)).should.be.bignumber.equal(bn(0));
+      (await hub.issuanceBetween(4, 3)).should.be.bignumber.equal(bn(0));
+    });
+  });
+
   describe('finds correct divisor', () => {
     it('returns the correct divisor for 6790007', async () => {
       inflation = bn(6790007);
       hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
-        { from: systemOwner, gas: 0xfffffffffff });
+        CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
       (await hub.divisor()).should.be.bignumber.equal(bn(1000000));
     });
 
     it('returns the correct divisor for 7', async () => {
       inflation = bn(7);
       hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
-        { from: systemOwner, gas: 0xfffffffffff });
+        CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
       (await hub.divisor()).should.be.bignumber.equal(bn(1));
     });
 
     it('returns the correct divisor for 10', async () => {
       inflation = bn(10);
       hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
-        { from: systemOwner, gas: 0xfffffffffff });
+        CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
       (await hub.divisor()).should.be.bignumber.equal(bn(10));
     });
 
     it('returns the correct divisor for 0', async () => {
       inflation = bn(0);
       hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
-        { from: systemOwner, gas: 0xfffffffffff });
+        CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
       (await hub.divisor()).should.be.bignumber.equal(bn(1));
     });
 
     it('returns the correct divisor for 10000', async () => {
       inflation = bn(10000);
       hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
-        { from: systemOwner, gas: 0xfffffffffff });
+        CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
       (await hub.divisor()).should.be.bignumber.equal(bn(10000));
     });
   });
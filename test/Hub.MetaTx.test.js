@@ -0,0 +1,274 @@
+const { assertRevert } = require('./helpers/assertRevert');
+const expectEvent = require('./helpers/expectEvent');
+const { BigNumber, CHAIN_ID } = require('./helpers/constants');
+const { bn } = require('./helpers/math');
+const { signTypedData } = require('./helpers/signTypedData');
+const {
+  formatSignupData,
+  formatTrustData,
+  formatTransferThroughData,
+  signTypedDataWithKey,
+  splitSignature,
+} = require('./helpers/hubTypedData');
+
+require('chai')
+  .use(require('chai-bn')(BigNumber))
+  .should();
+
+const Hub = artifacts.require('MockHub');
+const Token = artifacts.require('Token');
+
+// HubI.Action
+const HUB_TRANSFER = 2;
+
+contract('Hub - signed actions', ([_, systemOwner, relayer, normalUser, thirdUser]) => { // eslint-disable-line no-unused-vars
+  let hub = null;
+  let signer = null;
+  let other = null;
+  let deadline = null;
+
+  const inflation = bn(275);
+  const period = bn(7885000000);
+  const symbol = 'CRC';
+  const initialPayout = bn(100);
+  const tokenName = 'testToken';
+
+  const gas = 6721975;
+
+  const deployHub = () => Hub.new(systemOwner, inflation, period, symbol, initialPayout,
+    initialPayout, CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+
+  const signSignup = async (account, user, overrides = {}) => {
+    const nonce = await hub.nonces(user);
+    const data = formatSignupData(user, tokenName, nonce, deadline, hub.address, CHAIN_ID);
+    Object.assign(data.message, overrides);
+    return signTypedDataWithKey(data, account.privateKey, web3);
+  };
+
+  const signupFor = async (account) => {
+    const { v, r, s } = await signSignup(account, account.address);
+    return hub.signupFor(account.address, tokenName, deadline, v, r, s, { from: relayer });
+  };
+
+  const signTrust = async (account, canSendTo, user, limit) => {
+    const nonce = await hub.nonces(canSendTo);
+    const data = formatTrustData(canSendTo, user, limit, nonce, deadline, hub.address,
+      CHAIN_ID);
+    return signTypedDataWithKey(data, account.privateKey, web3);
+  };
+
+  beforeEach(async () => {
+    hub = await deployHub();
+    // accounts that have no ether, so they can't send a transaction themselves
+    signer = web3.eth.accounts.create();
+    other = web3.eth.accounts.create();
+    deadline = (await web3.eth.getBlock('latest')).timestamp + 3600;
+  });
+
+  describe('signupFor', async () => {
+    it('signs up the signer', async () => {
+      const { logs } = await signupFor(signer);
+      expectEvent.inLogs(logs, 'Signup', { user: signer.address });
+      const token = await Token.at(await hub.userToToken(signer.address));
+      (await token.owner()).should.be.equal(signer.address);
+      (await token.balanceOf(signer.address)).should.be.bignumber.equal(initialPayout);
+      (await hub.limits(signer.address, signer.address)).should.be.bignumber.equal(bn(100));
+    });
+
+    it('uses up the nonce', async () => {
+      await signupFor(signer);
+      (await hub.nonces(signer.address)).should.be.bignumber.equal(bn(1));
+    });
+
+    it('throws when the signature is submitted again', async () => {
+      const { v, r, s } = await signSignup(signer, signer.address);
+      await hub.signupFor(signer.address, tokenName, deadline, v, r, s, { from: relayer });
+      await assertRevert(hub.signupFor(signer.address, tokenName, deadline, v, r, s,
+        { from: relayer }));
+    });
+
+    it('throws when someone else signed', async () => {
+      const { v, r, s } = await signSignup(other, signer.address);
+      await assertRevert(hub.signupFor(signer.address, tokenName, deadline, v, r, s,
+        { from: relayer }));
+    });
+
+    it('throws when the name is not the one signed', async () => {
+      const { v, r, s } = await signSignup(signer, signer.address);
+      await assertRevert(hub.signupFor(signer.address, 'otherName', deadline, v, r, s,
+        { from: relayer }));
+    });
+
+    it('throws after the deadline', async () => {
+      deadline = (await web3.eth.getBlock('latest')).timestamp - 1;
+      const { v, r, s } = await signSignup(signer, signer.address);
+      await assertRevert(hub.signupFor(signer.address, tokenName, deadline, v, r, s,
+        { from: relayer }));
+    });
+
+    it('throws on another hub', async () => {
+      const { v, r, s } = await signSignup(signer, signer.address);
+      hub = await deployHub();
+      await assertRevert(hub.signupFor(signer.address, tokenName, deadline, v, r, s,
+        { from: relayer }));
+    });
+
+    it('throws when signed for another chain', async () => {
+      const data = formatSignupData(signer.address, tokenName, 0, deadline, hub.address,
+        CHAIN_ID + 1);
+      const { v, r, s } = signTypedDataWithKey(data, signer.privateKey, web3);
+      await assertRevert(hub.signupFor(signer.address, tokenName, deadline, v, r, s,
+        { from: relayer }), 'Invalid signature');
+    });
+
+    it('knows the chain it is on', async () => {
+      (await hub.chainId()).should.be.bignumber.equal(bn(CHAIN_ID));
+    });
+  });
+
+  describe('trustBySig', async () => {
+    beforeEach(async () => {
+      await signupFor(signer);
+      await hub.signup(tokenName, { from: normalUser });
+    });
+
+    it('sets trust for the signer', async () => {
+      const { v, r, s } = await signTrust(signer, signer.address, normalUser, 50);
+      const { logs } = await hub.trustBySig(signer.address, normalUser, 50, deadline, v, r, s,
+        { from: relayer });
+      expectEvent.inLogs(logs, 'Trust', { canSendTo: signer.address, user: normalUser });
+      (await hub.limits(signer.address, normalUser)).should.be.bignumber.equal(bn(50));
+    });
+
+    it('throws when an older trust is submitted again', async () => {
+      const first = await signTrust(signer, signer.address, normalUser, 50);
+      await hub.trustBySig(signer.address, normalUser, 50, deadline, first.v, first.r, first.s,
+        { from: relayer });
+      const second = await signTrust(signer, signer.address, normalUser, 0);
+      await hub.trustBySig(signer.address, normalUser, 0, deadline, second.v, second.r, second.s,
+        { from: relayer });
+      await assertRevert(hub.trustBySig(signer.address, normalUser, 50, deadline,
+        first.v, first.r, first.s, { from: relayer }));
+      (await hub.limits(signer.address, normalUser)).should.be.bignumber.equal(bn(0));
+    });
+
+    it('throws when the limit is not the one signed', async () => {
+      const { v, r, s } = await signTrust(signer, signer.address, normalUser, 50);
+      await assertRevert(hub.trustBySig(signer.address, normalUser, 100, deadline, v, r, s,
+        { from: relayer }));
+    });
+
+    it('throws for limits that are not percentages', async () => {
+      const { v, r, s } = await signTrust(signer, signer.address, normalUser, 101);
+      await assertRevert(hub.trustBySig(signer.address, normalUser, 101, deadline, v, r, s,
+        { from: relayer }), 'Trust limit must be a percentage from 0 to 100');
+    });
+
+    it('throws when signed for someone else', async () => {
+      const { v, r, s } = await signTrust(other, signer.address, normalUser, 50);
+      await assertRevert(hub.trustBySig(signer.address, normalUser, 50, deadline, v, r, s,
+        { from: relayer }));
+    });
+
+    it('throws for signers that have not signed up', async () => {
+      const { v, r, s } = await signTrust(other, other.address, normalUser, 50);
+      await assertRevert(hub.trustBySig(other.address, normalUser, 50, deadline, v, r, s,
+        { from: relayer }));
+    });
+
+    it('accepts signatures from eth_signTypedData', async () => {
+      const nonce = await hub.nonces(normalUser);
+      const data = formatTrustData(normalUser, signer.address, 40, nonce.toString(),
+        deadline, hub.address, CHAIN_ID);
+      const { v, r, s } = splitSignature(await signTypedData(normalUser, data, web3));
+      await hub.trustBySig(normalUser, signer.address, 40, deadline, v, r, s, { from: relayer });
+      (await hub.limits(normalUser, signer.address)).should.be.bignumber.equal(bn(40));
+    });
+  });
+
+  describe('transferThroughBySig', async () => {
+    const path = () => [[signer.address], [signer.address], [normalUser], [bn(30)]];
+
+    const signPath = async (account, from, [tokenOwners, srcs, dests, wads]) => {
+      const nonce = await hub.nonces(from);
+      const data = formatTransferThroughData(from, tokenOwners, srcs, dests, wads, nonce,
+        deadline, hub.address, CHAIN_ID);
+      return signTypedDataWithKey(data, account.privateKey, web3);
+    };
+
+    const submit = (from, [tokenOwners, srcs, dests, wads], { v, r, s }) => hub
+      .transferThroughBySig(from, tokenOwners, srcs, dests, wads, deadline, v, r, s,
+        { from: relayer, gas });
+
+    beforeEach(async () => {
+      await signupFor(signer);
+      await hub.signup(tokenName, { from: normalUser });
+      await hub.signup(tokenName, { from: thirdUser });
+      await hub.trust(signer.address, 50, { from: normalUser });
+    });
+
+    it('sends from the signer', async () => {
+      const signature = await signPath(signer, signer.address, path());
+      const { logs } = await submit(signer.address, path(), signature);
+      expectEvent.inLogs(logs, 'HubTransfer', { from: signer.address, to: normalUser });
+      const token = await Token.at(await hub.userToToken(signer.address));
+      (await token.balanceOf(normalUser)).should.be.bignumber.equal(bn(30));
+      (await token.balanceOf(signer.address)).should.be.bignumber.equal(bn(70));
+    });
+
+    it('sends along several steps', async () => {
+      await hub.trust(normalUser, 50, { from: thirdUser });
+      const steps = [
+        [signer.address, normalUser],
+        [signer.address, normalUser],
+        [normalUser, thirdUser],
+        [bn(20), bn(20)],
+      ];
+      const signature = await signPath(signer, signer.address, steps);
+      await submit(signer.address, steps, signature);
+      const token = await Token.at(await hub.userToToken(normalUser));
+      (await token.balanceOf(thirdUser)).should.be.bignumber.equal(bn(20));
+    });
+
+    it('throws when the signature is submitted again', async () => {
+      const signature = await signPath(signer, signer.address, path());
+      await submit(signer.address, path(), signature);
+      await assertRevert(submit(signer.address, path(), signature));
+    });
+
+    it('throws when the amounts are not the ones signed', async () => {
+      const signature = await signPath(signer, signer.address, path());
+      const changed = path();
+      changed[3] = [bn(40)];
+      await assertRevert(submit(signer.address, changed, signature));
+    });
+
+    it('throws when someone else signed', async () => {
+      const signature = await signPath(other, signer.address, path());
+      await assertRevert(submit(signer.address, path(), signature));
+    });
+
+    it('throws when the path sends from someone other than the signer', async () => {
+      await hub.trust(thirdUser, 50, { from: normalUser });
+      const steps = [[thirdUser], [thirdUser], [normalUser], [bn(30)]];
+      const signature = await signPath(signer, signer.address, steps);
+      await assertRevert(submit(signer.address, steps, signature));
+    });
+
+    it('throws when hub transfers are paused', async () => {
+      await hub.pause(HUB_TRANSFER, { from: systemOwner });
+      const signature = await signPath(signer, signer.address, path());
+      await assertRevert(submit(signer.address, path(), signature));
+    });
+  });
+
+  describe('nonces', async () => {
+    it('are shared between all signed actions', async () => {
+      await signupFor(signer);
+      await hub.signup(tokenName, { from: normalUser });
+      const { v, r, s } = await signTrust(signer, signer.address, normalUser, 50);
+      await hub.trustBySig(signer.address, normalUser, 50, deadline, v, r, s, { from: relayer });
+      (await hub.nonces(signer.address)).should.be.bignumber.equal(bn(2));
+    });
+  });
+});
@@ -0,0 +1,276 @@
+const truffleContract = require('truffle-contract');
+const { assertRevert } = require('./helpers/assertRevert');
+const { executeSafeTx } = require('./helpers/executeSafeTx');
+const expectEvent = require('./helpers/expectEvent');
+const safeArtifacts = require('@circles/safe-contracts/build/contracts/GnosisSafe.json');
+const proxyArtifacts = require('@circles/safe-contracts/build/contracts/ProxyFactory.json');
+const { BigNumber, CHAIN_ID, ZERO_ADDRESS } = require('./helpers/constants');
+const { increase } = require('./helpers/increaseTime');
+const { bn } = require('./helpers/math');
+
+require('chai')
+  .use(require('chai-bn')(BigNumber))
+  .should();
+
+const Hub = artifacts.require('MockHub');
+const Token = artifacts.require('Token');
+const GnosisSafe = truffleContract(safeArtifacts);
+const ProxyFactory = truffleContract(proxyArtifacts);
+GnosisSafe.setProvider(web3.currentProvider);
+ProxyFactory.setProvider(web3.currentProvider);
+
+contract('Hub - migration', ([_, systemOwner, attacker, safeOwner, normalUser, thirdUser, newAddress, recoveryKey, organization]) => { // eslint-disable-line no-unused-vars
+  let hub = null;
+  let token = null;
+
+  const inflation = bn(275);
+  const period = bn(7885000000);
+  const symbol = 'CRC';
+  const initialPayout = bn(100);
+  const tokenName = 'testToken';
+
+  const gas = 6721975;
+
+  beforeEach(async () => {
+    hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+    await hub.signup(tokenName, { from: safeOwner });
+    await hub.signup(tokenName, { from: normalUser });
+    await hub.signup(tokenName, { from: thirdUser });
+    token = await Token.at(await hub.userToToken(safeOwner));
+  });
+
+  describe('migrating to a new account', async () => {
+    let logs = null;
+
+    beforeEach(async () => {
+      await hub.trust(normalUser, 30, { from: safeOwner });
+      await hub.trust(safeOwner, 40, { from: normalUser });
+      await hub.trust(safeOwner, 60, { from: thirdUser });
+      ({ logs } = await hub.migrate(newAddress, [normalUser], [normalUser, thirdUser],
+        { from: safeOwner }));
+    });
+
+    it('emits an event with both addresses and the token', async () => {
+      const event = expectEvent.inLogs(logs, 'Migration', { from: safeOwner, to: newAddress });
+      event.args.token.should.be.equal(token.address);
+    });
+
+    it('moves the token to the new address', async () => {
+      (await hub.userToToken(newAddress)).should.be.equal(token.address);
+      (await hub.tokenToUser(token.address)).should.be.equal(newAddress);
+    });
+
+    it('the old address no longer has a token', async () => {
+      (await hub.userToToken(safeOwner)).should.be.equal(ZERO_ADDRESS);
+    });
+
+    it('changes the owner of the token', async () => {
+      (await token.owner()).should.be.equal(newAddress);
+    });
+
+    it('moves self trust', async () => {
+      (await hub.limits(newAddress, newAddress)).should.be.bignumber.equal(bn(100));
+      (await hub.limits(safeOwner, safeOwner)).should.be.bignumber.equal(bn(0));
+    });
+
+    it('moves outgoing trust', async () => {
+      (await hub.limits(newAddress, normalUser)).should.be.bignumber.equal(bn(30));
+      (await hub.limits(safeOwner, normalUser)).should.be.bignumber.equal(bn(0));
+    });
+
+    it('moves incoming trust', async () => {
+      (await hub.limits(normalUser, newAddress)).should.be.bignumber.equal(bn(40));
+      (await hub.limits(thirdUser, newAddress)).should.be.bignumber.equal(bn(60));
+      (await hub.limits(normalUser, safeOwner)).should.be.bignumber.equal(bn(0));
+      (await hub.limits(thirdUser, safeOwner)).should.be.bignumber.equal(bn(0));
+    });
+
+    it('emits trust events for the old and new edges', async () => {
+      expectEvent.inLogs(logs, 'Trust', { canSendTo: safeOwner, user: normalUser })
+        .args.limit.should.be.bignumber.equal(bn(0));
+      expectEvent.inLogs(logs, 'Trust', { canSendTo: newAddress, user: normalUser })
+        .args.limit.should.be.bignumber.equal(bn(30));
+      expectEvent.inLogs(logs, 'Trust', { canSendTo: thirdUser, user: newAddress })
+        .args.limit.should.be.bignumber.equal(bn(60));
+    });
+
+    it('leaves balances where they were', async () => {
+      (await token.balanceOf(safeOwner)).should.be.bignumber.equal(initialPayout);
+      (await token.balanceOf(newAddress)).should.be.bignumber.equal(bn(0));
+    });
+
+    it('mints UBI to the new owner', async () => {
+      await increase(period.toNumber());
+      await token.update({ from: attacker });
+      (await token.balanceOf(newAddress)).should.be.bignumber.above(bn(0));
+      (await token.balanceOf(safeOwner)).should.be.bignumber.equal(initialPayout);
+    });
+
+    it('the new address can trust', async () => {
+      await hub.trust(thirdUser, 20, { from: newAddress });
+      (await hub.limits(newAddress, thirdUser)).should.be.bignumber.equal(bn(20));
+    });
+
+    it('the old address can no longer trust', async () => {
+      await assertRevert(hub.trust(thirdUser, 20, { from: safeOwner }));
+    });
+
+    it('the old address can still spend what it holds', async () => {
+      await hub.transferToken(newAddress, normalUser, bn(10), { from: safeOwner });
+      (await token.balanceOf(normalUser)).should.be.bignumber.equal(bn(10));
+    });
+
+    it('the token can be sent through trust moved to the new address', async () => {
+      await hub.transferThrough([newAddress], [safeOwner], [thirdUser], [bn(10)],
+        { from: safeOwner, gas });
+      (await token.balanceOf(thirdUser)).should.be.bignumber.equal(bn(10));
+    });
+
+    it('the old address is marked as migrated', async () => {
+      (await hub.migrated(safeOwner)).should.be.equal(true);
+      (await hub.migrated(newAddress)).should.be.equal(false);
+    });
+
+    it('the old address can not sign up again', async () => {
+      await assertRevert(hub.signup(tokenName, { from: safeOwner }),
+        'Migrated addresses can\'t sign up again');
+    });
+
+    it('the old address can not sign up as an organization', async () => {
+      await assertRevert(hub.organizationSignup({ from: safeOwner }),
+        'Migrated addresses can\'t sign up again');
+    });
+
+    it('the token can not be migrated back to the old address', async () => {
+      await assertRevert(hub.migrate(safeOwner, [], [], { from: newAddress }),
+        'New owner has migrated away before');
+    });
+  });
+
+  describe('trust that is not passed in', async () => {
+    it('stays with the old address', async () => {
+      await hub.trust(safeOwner, 40, { from: normalUser });
+      await hub.migrate(newAddress, [], [], { from: safeOwner });
+      (await hub.limits(normalUser, safeOwner)).should.be.bignumber.equal(bn(40));
+      (await hub.limits(normalUser, newAddress)).should.be.bignumber.equal(bn(0));
+    });
+
+    it('keeps its expiry when it is moved', async () => {
+      const expiry = (await web3.eth.getBlock('latest')).timestamp + 1000;
+      await hub.trustUntil(safeOwner, 40, expiry, { from: normalUser });
+      await hub.migrate(newAddress, [], [normalUser], { from: safeOwner });
+      (await hub.expiries(normalUser, newAddress)).should.be.bignumber.equal(bn(expiry));
+      (await hub.expiries(normalUser, safeOwner)).should.be.bignumber.equal(bn(0));
+    });
+
+    it('does not overwrite the new address\'s self trust', async () => {
+      await hub.trust(newAddress, 40, { from: safeOwner });
+      const edges = await hub.trustEdgeCount();
+      await hub.migrate(newAddress, [newAddress], [newAddress], { from: safeOwner });
+      (await hub.limits(newAddress, newAddress)).should.be.bignumber.equal(bn(100));
+      (await hub.trustEdgeCount()).should.be.bignumber.equal(edges);
+    });
+
+    it('is skipped when there is none', async () => {
+      const { logs } = await hub.migrate(newAddress, [normalUser], [thirdUser], { from: safeOwner });
+      logs.filter(log => log.event === 'Trust').should.have.lengthOf(2);
+    });
+  });
+
+  describe('rejects', async () => {
+    it('senders without a token', async () => {
+      await assertRevert(hub.migrate(newAddress, [], [], { from: attacker }));
+    });
+
+    it('the zero address', async () => {
+      await assertRevert(hub.migrate(ZERO_ADDRESS, [], [], { from: safeOwner }));
+    });
+
+    it('addresses that have a token', async () => {
+      await assertRevert(hub.migrate(normalUser, [], [], { from: safeOwner }));
+    });
+
+    it('organizations', async () => {
+      await hub.organizationSignup({ from: organization });
+      await assertRevert(hub.migrate(organization, [], [], { from: safeOwner }));
+    });
+
+    it('changing the token owner from anywhere but the hub', async () => {
+      await assertRevert(token.changeOwner(attacker, { from: safeOwner }));
+    });
+  });
+
+  describe('with a safe', async () => {
+    let safe = null;
+    let proxyFactory = null;
+    let userSafe = null;
+
+    const createSafe = async (owners) => {
+      const proxyData = safe.contract
+        .methods.setup(owners, 1, ZERO_ADDRESS, '0x', ZERO_ADDRESS, 0, ZERO_ADDRESS)
+        .encodeABI();
+      const { logs } = await proxyFactory
+        .createProxy(safe.address, proxyData, { from: systemOwner, gas });
+      return GnosisSafe.at(logs[0].args.proxy);
+    };
+
+    const migrateData = (newOwner, trusted, trusters) => hub.contract.methods
+      .migrate(newOwner, trusted, trusters).encodeABI();
+
+    beforeEach(async () => {
+      safe = await GnosisSafe.new({ from: systemOwner });
+      proxyFactory = await ProxyFactory.new({ from: systemOwner });
+    });
+
+    it('an account can move to a safe', async () => {
+      userSafe = await createSafe([safeOwner]);
+      await hub.migrate(userSafe.address, [], [], { from: safeOwner });
+      (await token.owner()).should.be.equal(userSafe.address);
+
+      const txParams = {
+        to: hub.address,
+        data: await hub.contract.methods.trust(normalUser, 50).encodeABI(),
+      };
+      await executeSafeTx(userSafe, txParams, safeOwner, gas, safeOwner, web3);
+      (await hub.limits(userSafe.address, normalUser)).should.be.bignumber.equal(bn(50));
+    });
+
+    describe('recovering a safe with a second key', async () => {
+      const lostKey = thirdUser;
+
+      beforeEach(async () => {
+        userSafe = await createSafe([lostKey, recoveryKey]);
+        const txParams = {
+          to: hub.address,
+          data: await hub.contract.methods.signup(tokenName).encodeABI(),
+        };
+        await executeSafeTx(userSafe, txParams, lostKey, gas, lostKey, web3);
+        token = await Token.at(await hub.userToToken(userSafe.address));
+        await hub.trust(userSafe.address, 40, { from: normalUser });
+      });
+
+      it('the recovery key moves the token to a new safe', async () => {
+        const newSafe = await createSafe([recoveryKey]);
+        const txParams = {
+          to: hub.address,
+          data: migrateData(newSafe.address, [], [normalUser]),
+        };
+        await executeSafeTx(userSafe, txParams, recoveryKey, gas, recoveryKey, web3);
+
+        (await hub.userToToken(newSafe.address)).should.be.equal(token.address);
+        (await token.owner()).should.be.equal(newSafe.address);
+        (await hub.limits(normalUser, newSafe.address)).should.be.bignumber.equal(bn(40));
+      });
+
+      it('someone who is not an owner of the safe cannot', async () => {
+        const txParams = {
+          to: hub.address,
+          data: migrateData(attacker, [], [normalUser]),
+        };
+        await assertRevert(executeSafeTx(userSafe, txParams, attacker, gas, attacker, web3));
+        (await token.owner()).should.be.equal(userSafe.address);
+      });
+    });
+  });
+});
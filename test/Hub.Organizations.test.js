@@ -0,0 +1,126 @@
+const { assertRevert } = require('./helpers/assertRevert');
+const expectEvent = require('./helpers/expectEvent');
+const { BigNumber, CHAIN_ID, ZERO_ADDRESS } = require('./helpers/constants');
+const { bn } = require('./helpers/math');
+
+require('chai')
+  .use(require('chai-bn')(BigNumber))
+  .should();
+
+const Hub = artifacts.require('MockHub');
+const Token = artifacts.require('Token');
+
+contract('Hub - organizations', ([_, systemOwner, attacker, safeOwner, normalUser, organization]) => { // eslint-disable-line no-unused-vars
+  let hub = null;
+
+  const inflation = bn(275);
+  const period = bn(7885000000);
+  const symbol = 'CRC';
+  const initialPayout = bn(100);
+  const tokenName = 'testToken';
+
+  const gas = 6721975;
+
+  const balanceOf = async (tokenOwner, holder) => {
+    const token = await Token.at(await hub.userToToken(tokenOwner));
+    return token.balanceOf(holder);
+  };
+
+  beforeEach(async () => {
+    hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+    await hub.signup(tokenName, { from: safeOwner });
+    await hub.signup(tokenName, { from: normalUser });
+  });
+
+  describe('signing up', async () => {
+    it('emits an event with the organization', async () => {
+      const { logs } = await hub.organizationSignup({ from: organization });
+      expectEvent.inLogs(logs, 'OrganizationSignup', { organization });
+    });
+
+    it('registers the organization', async () => {
+      await hub.organizationSignup({ from: organization });
+      (await hub.organizations(organization)).should.be.equal(true);
+    });
+
+    it('does not deploy a token', async () => {
+      await hub.organizationSignup({ from: organization });
+      (await hub.userToToken(organization)).should.be.equal(ZERO_ADDRESS);
+    });
+
+    it('throws if the organization signs up twice', async () => {
+      await hub.organizationSignup({ from: organization });
+      await assertRevert(hub.organizationSignup({ from: organization }));
+    });
+
+    it('throws if a user with a token signs up as an organization', async () => {
+      await assertRevert(hub.organizationSignup({ from: safeOwner }));
+    });
+
+    it('throws if an organization signs up for a token', async () => {
+      await hub.organizationSignup({ from: organization });
+      await assertRevert(hub.signup(tokenName, { from: organization }));
+    });
+  });
+
+  describe('trust', async () => {
+    beforeEach(async () => {
+      await hub.organizationSignup({ from: organization });
+    });
+
+    it('organizations can trust users', async () => {
+      await hub.trust(safeOwner, 50, { from: organization });
+      (await hub.limits(organization, safeOwner)).should.be.bignumber.equal(bn(50));
+    });
+
+    it('accounts that did not sign up still cannot trust', async () => {
+      await assertRevert(hub.trust(safeOwner, 50, { from: attacker }));
+    });
+
+    it('accepts all of the senders balance of a trusted token', async () => {
+      await hub.trust(safeOwner, 1, { from: organization });
+      (await hub.checkSendLimit(safeOwner, safeOwner, organization))
+        .should.be.bignumber.equal(initialPayout);
+    });
+
+    it('accepts nothing of a token it does not trust', async () => {
+      (await hub.checkSendLimit(safeOwner, safeOwner, organization))
+        .should.be.bignumber.equal(bn(0));
+    });
+  });
+
+  describe('transfers', async () => {
+    beforeEach(async () => {
+      await hub.organizationSignup({ from: organization });
+      await hub.trust(safeOwner, 10, { from: organization });
+    });
+
+    it('organizations can be the destination of a path', async () => {
+      await hub.transferThrough([safeOwner], [safeOwner], [organization], [initialPayout],
+        { from: safeOwner, gas });
+      (await balanceOf(safeOwner, organization)).should.be.bignumber.equal(initialPayout);
+    });
+
+    it('organizations can be in the middle of a path', async () => {
+      await hub.trust(normalUser, 100, { from: organization });
+      await hub.transferToken(normalUser, organization, bn(30), { from: normalUser });
+      const { logs } = await hub.transferThrough(
+        [safeOwner, normalUser],
+        [safeOwner, organization],
+        [organization, normalUser],
+        [bn(20), bn(20)],
+        { from: safeOwner, gas },
+      );
+      (await balanceOf(safeOwner, organization)).should.be.bignumber.equal(bn(20));
+      (await balanceOf(normalUser, organization)).should.be.bignumber.equal(bn(10));
+      (await balanceOf(normalUser, normalUser)).should.be.bignumber.equal(bn(90));
+      expectEvent.inLogs(logs, 'HubTransfer', { from: safeOwner, to: normalUser });
+    });
+
+    it('organizations can be paid directly', async () => {
+      await hub.transferToken(safeOwner, organization, bn(60), { from: safeOwner });
+      (await balanceOf(safeOwner, organization)).should.be.bignumber.equal(bn(60));
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const { assertRevert } = require('./helpers/assertRevert');
+const expectEvent = require('./helpers/expectEvent');
+const { BigNumber, CHAIN_ID } = require('./helpers/constants');
+const { getTimestampFromTx } = require('./helpers/getTimestamp');
+const { increase } = require('./helpers/increaseTime');
+const { bn, issuanceStep, ubiPayout } = require('./helpers/math');
+
+require('chai')
+  .use(require('chai-bn')(BigNumber))
+  .should();
+
+const Hub = artifacts.require('MockHub');
+const Token = artifacts.require('Token');
+
+// Hub.Parameter
+const INFLATION = 0;
+const RATE = 1;
+const DELAY = 2;
+
+contract('Hub - parameter changes', ([_, systemOwner, attacker, user]) => { // eslint-disable-line no-unused-vars
+  let hub = null;
+  let delay = null;
+
+  const inflation = bn(275);
+  const period = bn(7885000000);
+  const symbol = 'CRC';
+  const initialPayout = bn(100);
+  const initialIssuance = bn(100);
+
+  beforeEach(async () => {
+    hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialIssuance,
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+    delay = (await hub.parameterDelay()).toNumber();
+  });
+
+  describe('proposing a change', async () => {
+    it('has a delay', async () => {
+      (await hub.parameterDelay()).should.be.bignumber.equal(bn(2 * 24 * 60 * 60));
+    });
+
+    it('emits an event with when the change can be executed', async () => {
+      const tx = await hub.proposeParameterChange(INFLATION, 300, { from: systemOwner });
+      const timestamp = await getTimestampFromTx(tx.tx, web3);
+      const event = expectEvent.inLogs(tx.logs, 'ParameterChangeProposed');
+      event.args.parameter.should.be.bignumber.equal(bn(INFLATION));
+      event.args.value.should.be.bignumber.equal(bn(300));
+      event.args.executableAt.should.be.bignumber.equal(bn(timestamp + delay));
+    });
+
+    it('does not change the parameter yet', async () => {
+      await hub.proposeParameterChange(INFLATION, 300, { from: systemOwner });
+      (await hub.inflation()).should.be.bignumber.equal(inflation);
+    });
+
+    it('attacker cannot propose a change', async () => {
+      await assertRevert(hub.proposeParameterChange(INFLATION, 300, { from: attacker }));
+    });
+  });
+
+  describe('executing a change', async () => {
+    beforeEach(async () => {
+      await hub.proposeParameterChange(INFLATION, 300, { from: systemOwner });
+    });
+
+    it('throws before the delay has passed', async () => {
+      await assertRevert(hub.executeParameterChange(INFLATION, { from: systemOwner }));
+    });
+
+    it('changes the parameter after the delay', async () => {
+      await increase(delay);
+      await hub.executeParameterChange(INFLATION, { from: systemOwner });
+      (await hub.inflation()).should.be.bignumber.equal(bn(300));
+    });
+
+    it('emits an event with the new value', async () => {
+      await increase(delay);
+      const { logs } = await hub.executeParameterChange(INFLATION, { from: systemOwner });
+      const event = expectEvent.inLogs(logs, 'ParameterChanged');
+      event.args.parameter.should.be.bignumber.equal(bn(INFLATION));
+      event.args.value.should.be.bignumber.equal(bn(300));
+    });
+
+    it('can only be executed once', async () => {
+      await increase(delay);
+      await hub.executeParameterChange(INFLATION, { from: systemOwner });
+      await assertRevert(hub.executeParameterChange(INFLATION, { from: systemOwner }));
+    });
+
+    it('throws for parameters without a proposed change', async () => {
+      await increase(delay);
+      await assertRevert(hub.executeParameterChange(RATE, { from: systemOwner }));
+    });
+
+    it('attacker cannot execute a change', async () => {
+      await increase(delay);
+      await assertRevert(hub.executeParameterChange(INFLATION, { from: attacker }));
+    });
+
+    it('changes the issuance rate', async () => {
+      await hub.proposeParameterChange(RATE, 200, { from: systemOwner });
+      await increase(delay);
+      await hub.executeParameterChange(RATE, { from: systemOwner });
+      (await hub.initialIssuance()).should.be.bignumber.equal(bn(200));
+    });
+
+    it('uses a new delay for the next proposal', async () => {
+      await hub.proposeParameterChange(DELAY, 60, { from: systemOwner });
+      await increase(delay);
+      await hub.executeParameterChange(DELAY, { from: systemOwner });
+      await hub.proposeParameterChange(RATE, 200, { from: systemOwner });
+      await increase(60);
+      await hub.executeParameterChange(RATE, { from: systemOwner });
+      (await hub.initialIssuance()).should.be.bignumber.equal(bn(200));
+    });
+  });
+
+  describe('cancelling a change', async () => {
+    beforeEach(async () => {
+      await hub.proposeParameterChange(INFLATION, 300, { from: systemOwner });
+    });
+
+    it('emits an event', async () => {
+      const { logs } = await hub.cancelParameterChange(INFLATION, { from: systemOwner });
+      const event = expectEvent.inLogs(logs, 'ParameterChangeCancelled');
+      event.args.parameter.should.be.bignumber.equal(bn(INFLATION));
+    });
+
+    it('the change can no longer be executed', async () => {
+      await hub.cancelParameterChange(INFLATION, { from: systemOwner });
+      await increase(delay);
+      await assertRevert(hub.executeParameterChange(INFLATION, { from: systemOwner }));
+    });
+
+    it('attacker cannot cancel a change', async () => {
+      await assertRevert(hub.cancelParameterChange(INFLATION, { from: attacker }));
+    });
+  });
+
+  describe('bounds', async () => {
+    it('inflation cannot be set to 0', async () => {
+      await assertRevert(hub.proposeParameterChange(INFLATION, 0, { from: systemOwner }));
+    });
+
+    it('inflation cannot be below the divisor', async () => {
+      await assertRevert(hub.proposeParameterChange(INFLATION, 99, { from: systemOwner }));
+    });
+
+    it('inflation can be equal to the divisor', async () => {
+      await hub.proposeParameterChange(INFLATION, 100, { from: systemOwner });
+      await increase(delay);
+      await hub.executeParameterChange(INFLATION, { from: systemOwner });
+      (await hub.inflation()).should.be.bignumber.equal(bn(100));
+    });
+
+    it('inflation cannot change the divisor', async () => {
+      await assertRevert(hub.proposeParameterChange(INFLATION, 1000, { from: systemOwner }));
+    });
+
+    it('the issuance rate cannot be set to 0', async () => {
+      await assertRevert(hub.proposeParameterChange(RATE, 0, { from: systemOwner }));
+    });
+
+    it('the delay cannot be longer than the maximum', async () => {
+      const max = await hub.MAX_PARAMETER_DELAY();
+      await assertRevert(hub.proposeParameterChange(DELAY, max.add(bn(1)), { from: systemOwner }));
+    });
+  });
+
+  describe('issuance after a change', async () => {
+    const divisor = bn(100);
+    const step = p => issuanceStep(initialIssuance, inflation, divisor, p);
+
+    const change = async (parameter, value) => {
+      await hub.proposeParameterChange(parameter, value, { from: systemOwner });
+      await increase(delay);
+      return hub.executeParameterChange(parameter, { from: systemOwner });
+    };
+
+    beforeEach(async () => {
+      await increase(period.mul(bn(3)).toNumber());
+    });
+
+    it('checkpoints every period that has started', async () => {
+      await change(RATE, 200);
+      (await hub.checkpointed()).should.be.bignumber.equal(bn(4));
+    });
+
+    it('stays the same for periods that have started', async () => {
+      await change(INFLATION, 300);
+      for (let p = 0; p <= 3; p += 1) {
+        (await hub.issuanceStep(p)).should.be.bignumber.equal(step(p)); // eslint-disable-line no-await-in-loop
+      }
+      (await hub.issuance()).should.be.bignumber.equal(step(3));
+    });
+
+    it('carries on from the current issuance at a new inflation', async () => {
+      await change(INFLATION, 300);
+      await increase(period.toNumber());
+      (await hub.issuance()).should.be.bignumber.equal(step(3).mul(bn(3)));
+    });
+
+    it('is scaled by a new rate from the next period', async () => {
+      await change(RATE, 200);
+      (await hub.issuance()).should.be.bignumber.equal(step(3));
+      await increase(period.toNumber());
+      (await hub.issuance()).should.be.bignumber
+        .equal(issuanceStep(bn(200), inflation, divisor, 4));
+    });
+
+    it('is paid out for elapsed periods as it was before the change', async () => {
+      const { logs } = await hub.signup('testToken', { from: user });
+      const token = await Token.at(logs[1].args.token);
+      const clock = await token.lastTouched();
+      const offset = await token.inflationOffset();
+      const hubDeploy = await token.hubDeploy();
+      await increase(period.mul(bn(2)).toNumber());
+      await change(INFLATION, 300);
+      const tx = await token.update();
+      const time = await getTimestampFromTx(tx.tx, web3);
+      const goal = ubiPayout(step(3), clock, time, offset, inflation, divisor, period,
+        hubDeploy, initialIssuance);
+      expectEvent.inLogs(tx.logs, 'Transfer').args.value.should.be.bignumber.equal(goal);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+const { assertRevert } = require('./helpers/assertRevert');
+const expectEvent = require('./helpers/expectEvent');
+const { BigNumber, CHAIN_ID, ZERO_ADDRESS } = require('./helpers/constants');
+const { bn } = require('./helpers/math');
+const { increase } = require('./helpers/increaseTime');
+
+require('chai')
+  .use(require('chai-bn')(BigNumber))
+  .should();
+
+const Hub = artifacts.require('MockHub');
+const Token = artifacts.require('Token');
+
+// HubI.Action
+const SIGNUP = 0;
+const TRUST = 1;
+const HUB_TRANSFER = 2;
+const TOKEN_UPDATE = 3;
+const TOKEN_TRANSFER = 4;
+
+contract('Hub - pause', ([_, systemOwner, attacker, safeOwner, normalUser, thirdUser, organization]) => { // eslint-disable-line no-unused-vars
+  let hub = null;
+  let token = null;
+
+  const inflation = bn(275);
+  const period = bn(7885000000);
+  const symbol = 'CRC';
+  const initialPayout = bn(100);
+  const tokenName = 'testToken';
+
+  const gas = 6721975;
+
+  beforeEach(async () => {
+    hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+    await hub.signup(tokenName, { from: safeOwner });
+    await hub.signup(tokenName, { from: normalUser });
+    await hub.trust(safeOwner, 50, { from: normalUser });
+    token = await Token.at(await hub.userToToken(safeOwner));
+  });
+
+  describe('pausing', async () => {
+    it('nothing is paused at deployment', async () => {
+      (await hub.paused(SIGNUP)).should.be.equal(false);
+      (await hub.paused(TOKEN_TRANSFER)).should.be.equal(false);
+    });
+
+    it('owner can pause an action', async () => {
+      const { logs } = await hub.pause(TRUST, { from: systemOwner });
+      const event = expectEvent.inLogs(logs, 'Paused');
+      event.args.action.should.be.bignumber.equal(bn(TRUST));
+      (await hub.paused(TRUST)).should.be.equal(true);
+    });
+
+    it('owner can unpause an action', async () => {
+      await hub.pause(TRUST, { from: systemOwner });
+      const { logs } = await hub.unpause(TRUST, { from: systemOwner });
+      const event = expectEvent.inLogs(logs, 'Unpaused');
+      event.args.action.should.be.bignumber.equal(bn(TRUST));
+      (await hub.paused(TRUST)).should.be.equal(false);
+    });
+
+    it('only pauses the action it is given', async () => {
+      await hub.pause(TRUST, { from: systemOwner });
+      (await hub.paused(SIGNUP)).should.be.equal(false);
+      await hub.signup(tokenName, { from: thirdUser });
+    });
+
+    it('attacker cannot pause', async () => {
+      await assertRevert(hub.pause(SIGNUP, { from: attacker }));
+    });
+
+    it('attacker cannot unpause', async () => {
+      await hub.pause(SIGNUP, { from: systemOwner });
+      await assertRevert(hub.unpause(SIGNUP, { from: attacker }));
+    });
+
+    it('throws when pausing twice', async () => {
+      await hub.pause(SIGNUP, { from: systemOwner });
+      await assertRevert(hub.pause(SIGNUP, { from: systemOwner }));
+    });
+
+    it('throws when unpausing what is not paused', async () => {
+      await assertRevert(hub.unpause(SIGNUP, { from: systemOwner }));
+    });
+  });
+
+  describe('when signups are paused', async () => {
+    beforeEach(async () => {
+      await hub.pause(SIGNUP, { from: systemOwner });
+    });
+
+    it('signup throws', async () => {
+      await assertRevert(hub.signup(tokenName, { from: thirdUser }));
+    });
+
+    it('organizationSignup throws', async () => {
+      await assertRevert(hub.organizationSignup({ from: organization }));
+    });
+
+    it('both work again after unpausing', async () => {
+      await hub.unpause(SIGNUP, { from: systemOwner });
+      await hub.signup(tokenName, { from: thirdUser });
+      await hub.organizationSignup({ from: organization });
+      (await hub.userToToken(thirdUser)).should.not.be.equal(ZERO_ADDRESS);
+      (await hub.organizations(organization)).should.be.equal(true);
+    });
+  });
+
+  describe('when trust is paused', async () => {
+    beforeEach(async () => {
+      await hub.pause(TRUST, { from: systemOwner });
+    });
+
+    it('trust throws', async () => {
+      await assertRevert(hub.trust(normalUser, 20, { from: safeOwner }));
+    });
+
+    it('migrate throws', async () => {
+      await assertRevert(hub.migrate(thirdUser, [], [normalUser], { from: safeOwner }));
+    });
+
+    it('both work again after unpausing', async () => {
+      await hub.unpause(TRUST, { from: systemOwner });
+      await hub.trust(normalUser, 20, { from: safeOwner });
+      (await hub.limits(safeOwner, normalUser)).should.be.bignumber.equal(bn(20));
+      await hub.migrate(thirdUser, [normalUser], [normalUser], { from: safeOwner });
+      (await hub.userToToken(thirdUser)).should.be.equal(token.address);
+    });
+  });
+
+  describe('when hub transfers are paused', async () => {
+    beforeEach(async () => {
+      await hub.pause(HUB_TRANSFER, { from: systemOwner });
+    });
+
+    it('transferThrough throws', async () => {
+      await assertRevert(hub.transferThrough([safeOwner], [safeOwner], [normalUser], [bn(10)],
+        { from: safeOwner, gas }));
+    });
+
+    it('transferToken throws', async () => {
+      await assertRevert(hub.transferToken(safeOwner, normalUser, bn(10), { from: safeOwner }));
+    });
+
+    it('both work again after unpausing', async () => {
+      await hub.unpause(HUB_TRANSFER, { from: systemOwner });
+      await hub.transferThrough([safeOwner], [safeOwner], [normalUser], [bn(10)],
+        { from: safeOwner, gas });
+      await hub.transferToken(safeOwner, normalUser, bn(10), { from: safeOwner });
+      (await token.balanceOf(normalUser)).should.be.bignumber.equal(bn(20));
+    });
+  });
+
+  describe('when token updates are paused', async () => {
+    beforeEach(async () => {
+      await increase(period.toNumber());
+      await hub.pause(TOKEN_UPDATE, { from: systemOwner });
+    });
+
+    it('update throws', async () => {
+      await assertRevert(token.update({ from: safeOwner }));
+    });
+
+    it('updateMany throws', async () => {
+      await assertRevert(hub.updateMany([safeOwner], { from: attacker }));
+    });
+
+    it('keeps accruing while paused', async () => {
+      (await token.look()).should.be.bignumber.above(bn(0));
+    });
+
+    it('update works again after unpausing', async () => {
+      await hub.unpause(TOKEN_UPDATE, { from: systemOwner });
+      await token.update({ from: safeOwner });
+      (await token.balanceOf(safeOwner)).should.be.bignumber.above(initialPayout);
+    });
+  });
+
+  describe('when token transfers are paused', async () => {
+    beforeEach(async () => {
+      await token.approve(attacker, bn(10), { from: safeOwner });
+      await hub.pause(TOKEN_TRANSFER, { from: systemOwner });
+    });
+
+    it('transfer throws', async () => {
+      await assertRevert(token.transfer(normalUser, bn(10), { from: safeOwner }));
+    });
+
+    it('transferFrom throws', async () => {
+      await assertRevert(token.transferFrom(safeOwner, attacker, bn(10), { from: attacker }));
+    });
+
+    it('hub transfers still work', async () => {
+      await hub.transferToken(safeOwner, normalUser, bn(10), { from: safeOwner });
+      (await token.balanceOf(normalUser)).should.be.bignumber.equal(bn(10));
+    });
+
+    it('both work again after unpausing', async () => {
+      await hub.unpause(TOKEN_TRANSFER, { from: systemOwner });
+      await token.transfer(normalUser, bn(10), { from: safeOwner });
+      await token.transferFrom(safeOwner, attacker, bn(10), { from: attacker });
+      (await token.balanceOf(safeOwner)).should.be.bignumber.equal(bn(80));
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const { assertRevert } = require('./helpers/assertRevert');
+const { BigNumber, CHAIN_ID, ZERO_ADDRESS } = require('./helpers/constants');
+const { bn } = require('./helpers/math');
+const { increase } = require('./helpers/increaseTime');
+
+require('chai')
+  .use(require('chai-bn')(BigNumber))
+  .should();
+
+const Hub = artifacts.require('MockHub');
+const DemurrageHub = artifacts.require('DemurrageHub');
+const Token = artifacts.require('Token');
+
+contract('Hub - stats', ([_, systemOwner, attacker, a, b, c, org]) => { // eslint-disable-line no-unused-vars
+  let hub = null;
+
+  const inflation = bn(275);
+  const period = bn(7885000000);
+  const symbol = 'CRC';
+  const initialPayout = bn(100);
+  const tokenName = 'testToken';
+
+  const gas = 6721975;
+
+  const minted = ({ logs }) => logs
+    .find(log => log.event === 'Transfer' && log.args.from === ZERO_ADDRESS).args.value;
+
+  beforeEach(async () => {
+    hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+    await hub.signup(tokenName, { from: a });
+    await hub.signup(tokenName, { from: b });
+  });
+
+  describe('userCount', async () => {
+    it('counts signups', async () => {
+      (await hub.userCount()).should.be.bignumber.equal(bn(2));
+    });
+
+    it('does not count organizations', async () => {
+      await hub.organizationSignup({ from: org });
+      (await hub.userCount()).should.be.bignumber.equal(bn(2));
+    });
+
+    it('stays the same when a user migrates', async () => {
+      await hub.migrate(c, [], [], { from: a });
+      (await hub.userCount()).should.be.bignumber.equal(bn(2));
+    });
+  });
+
+  describe('trustEdgeCount', async () => {
+    it('counts everyone\'s trust in themselves', async () => {
+      (await hub.trustEdgeCount()).should.be.bignumber.equal(bn(2));
+    });
+
+    it('counts new trust', async () => {
+      await hub.trust(b, 50, { from: a });
+      await hub.trustAmount(a, 10, { from: b });
+      (await hub.trustEdgeCount()).should.be.bignumber.equal(bn(4));
+    });
+
+    it('counts an edge once when its limit changes', async () => {
+      await hub.trust(b, 50, { from: a });
+      await hub.trust(b, 20, { from: a });
+      (await hub.trustEdgeCount()).should.be.bignumber.equal(bn(3));
+    });
+
+    it('stops counting trust that is removed', async () => {
+      await hub.trust(b, 50, { from: a });
+      await hub.trust(b, 0, { from: a });
+      (await hub.trustEdgeCount()).should.be.bignumber.equal(bn(2));
+    });
+
+    it('does not count trust set to 0 that was never there', async () => {
+      await hub.trust(b, 0, { from: a });
+      (await hub.trustEdgeCount()).should.be.bignumber.equal(bn(2));
+    });
+
+    it('stays the same when trust is migrated', async () => {
+      await hub.trust(b, 50, { from: a });
+      await hub.trust(a, 50, { from: b });
+      await hub.migrate(c, [b], [b], { from: a });
+      (await hub.trustEdgeCount()).should.be.bignumber.equal(bn(4));
+    });
+  });
+
+  describe('totalMinted', async () => {
+    it('counts the initial payout', async () => {
+      (await hub.totalMinted()).should.be.bignumber.equal(initialPayout.mul(bn(2)));
+    });
+
+    it('counts what tokens mint on update', async () => {
+      const token = await Token.at(await hub.userToToken(a));
+      await increase(1000);
+      const tx = await token.update({ gas });
+      (await hub.totalMinted()).should.be.bignumber
+        .equal(initialPayout.mul(bn(2)).add(minted(tx)));
+    });
+
+    it('adds up to the total supply of every token', async () => {
+      await increase(1000);
+      await hub.updateMany([a, b], { gas });
+      const supply = (await (await Token.at(await hub.userToToken(a))).totalSupply())
+        .add(await (await Token.at(await hub.userToToken(b))).totalSupply());
+      (await hub.totalMinted()).should.be.bignumber.equal(supply);
+    });
+
+    it('can not be added to by attacker', async () => {
+      await assertRevert(hub.recordMint(1000, { from: attacker }),
+        'Only tokens of this hub can record mints');
+    });
+
+    it('is in the units of Transfer events in demurrage mode', async () => {
+      hub = await DemurrageHub.new(systemOwner, bn(107), period, symbol, initialPayout,
+        initialPayout, CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+      await increase(period.toNumber());
+      const { logs } = await hub.signup(tokenName, { from: a });
+      const token = await Token.at(logs[1].args.token);
+      await token.update({ gas });
+      const transfers = await token.getPastEvents('Transfer', { fromBlock: 0 });
+      // the initial payout is stored inflated by the period it was minted in
+      transfers[0].args.value.should.be.bignumber.above(initialPayout);
+      (await hub.totalMinted()).should.be.bignumber.equal(transfers
+        .reduce((sum, transfer) => sum.add(transfer.args.value), bn(0)));
+    });
+  });
+});
@@ -0,0 +1,210 @@
+const { assertRevert } = require('./helpers/assertRevert');
+const expectEvent = require('./helpers/expectEvent');
+const { BigNumber, CHAIN_ID } = require('./helpers/constants');
+const { bn } = require('./helpers/math');
+
+require('chai')
+  .use(require('chai-bn')(BigNumber))
+  .should();
+
+const Hub = artifacts.require('MockHub');
+const Token = artifacts.require('Token');
+
+// HubI.Action
+const HUB_TRANSFER = 2;
+
+contract('Hub - transfer flows', ([_, systemOwner, attacker, a, b, c, d, e, f]) => { // eslint-disable-line no-unused-vars
+  let hub = null;
+
+  const inflation = bn(275);
+  const period = bn(7885000000);
+  const symbol = 'CRC';
+  const initialPayout = bn(100);
+  const tokenName = 'testToken';
+
+  const gas = 6721975;
+
+  const balanceOf = async (tokenOwner, holder) => {
+    const token = await Token.at(await hub.userToToken(tokenOwner));
+    return token.balanceOf(holder);
+  };
+
+  // edges are [tokenOwner, src, dest, wad]
+  const sendFlow = (to, edges, from = a) => hub.transferThroughFlow(
+    to,
+    edges.map(edge => edge[0]),
+    edges.map(edge => edge[1]),
+    edges.map(edge => edge[2]),
+    edges.map(edge => bn(edge[3])),
+    { from, gas },
+  );
+
+  beforeEach(async () => {
+    hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+    const users = [a, b, c, d, e, f];
+    for (let i = 0; i < users.length; i += 1) {
+      await hub.signup(tokenName, { from: users[i] }); // eslint-disable-line no-await-in-loop
+    }
+  });
+
+  describe('through a diamond', async () => {
+    // a -> b -> d and a -> c -> d
+    const diamond = [
+      [a, a, b, 30],
+      [a, a, c, 20],
+      [b, b, d, 30],
+      [c, c, d, 20],
+    ];
+
+    beforeEach(async () => {
+      await hub.trust(a, 50, { from: b });
+      await hub.trust(a, 50, { from: c });
+      await hub.trust(b, 50, { from: d });
+      await hub.trust(c, 50, { from: d });
+    });
+
+    it('sends the sum of both paths', async () => {
+      await sendFlow(d, diamond);
+      (await balanceOf(b, d)).should.be.bignumber.equal(bn(30));
+      (await balanceOf(c, d)).should.be.bignumber.equal(bn(20));
+      (await balanceOf(a, a)).should.be.bignumber.equal(bn(50));
+    });
+
+    it('leaves the middle of the diamond where it was', async () => {
+      await sendFlow(d, diamond);
+      (await balanceOf(a, b)).should.be.bignumber.equal(bn(30));
+      (await balanceOf(b, b)).should.be.bignumber.equal(bn(70));
+      (await balanceOf(a, c)).should.be.bignumber.equal(bn(20));
+      (await balanceOf(c, c)).should.be.bignumber.equal(bn(80));
+    });
+
+    it('emits one hub transfer for the whole flow', async () => {
+      const { logs } = await sendFlow(d, diamond);
+      const transfers = logs.filter(log => log.event === 'HubTransfer');
+      transfers.should.have.lengthOf(1);
+      expectEvent.inLogs(logs, 'HubTransfer', { from: a, to: d })
+        .args.amount.should.be.bignumber.equal(bn(50));
+    });
+
+    it('sends more than one path could', async () => {
+      await assertRevert(sendFlow(d, [[a, a, b, 100], [b, b, d, 100]]), 'Trust limit exceeded');
+      await sendFlow(d, [[a, a, b, 50], [a, a, c, 50], [b, b, d, 50], [c, c, d, 50]]);
+      (await balanceOf(a, a)).should.be.bignumber.equal(bn(0));
+    });
+
+    it('throws when the middle keeps some of what it receives', async () => {
+      await assertRevert(sendFlow(d, [[a, a, b, 30], [a, a, c, 20], [b, b, d, 20],
+        [c, c, d, 20]]), 'Path sends to more than one dest');
+    });
+
+    it('throws when the flow ends somewhere else', async () => {
+      await assertRevert(sendFlow(e, diamond), 'Flow doesn\'t end at to');
+    });
+
+    it('throws when sent by someone other than the source', async () => {
+      await assertRevert(sendFlow(d, diamond, attacker),
+        'Path doesn\'t send from transaction sender');
+    });
+
+    it('sends nothing when one edge is over its trust limit', async () => {
+      await hub.trust(c, 10, { from: d });
+      await assertRevert(sendFlow(d, diamond), 'Trust limit exceeded');
+      (await balanceOf(a, a)).should.be.bignumber.equal(bn(100));
+      (await balanceOf(a, b)).should.be.bignumber.equal(bn(0));
+    });
+
+    it('throws when hub transfers are paused', async () => {
+      await hub.pause(HUB_TRANSFER, { from: systemOwner });
+      await assertRevert(sendFlow(d, diamond), 'Action is paused');
+    });
+  });
+
+  describe('through several paths', async () => {
+    // a -> b -> d, a -> c -> d and a -> e -> f -> d, seven edges, more than
+    // transferThrough takes by default
+    const paths = [
+      [a, a, b, 10],
+      [a, a, c, 20],
+      [a, a, e, 30],
+      [b, b, d, 10],
+      [c, c, d, 20],
+      [e, e, f, 30],
+      [f, f, d, 30],
+    ];
+
+    beforeEach(async () => {
+      await hub.trust(a, 50, { from: b });
+      await hub.trust(a, 50, { from: c });
+      await hub.trust(a, 50, { from: e });
+      await hub.trust(e, 50, { from: f });
+      await hub.trust(b, 50, { from: d });
+      await hub.trust(c, 50, { from: d });
+      await hub.trust(f, 50, { from: d });
+    });
+
+    it('is too complex for transferThrough', async () => {
+      await assertRevert(hub.transferThrough(
+        paths.map(edge => edge[0]),
+        paths.map(edge => edge[1]),
+        paths.map(edge => edge[2]),
+        paths.map(edge => bn(edge[3])),
+        { from: a, gas },
+      ), 'Too complex path');
+    });
+
+    it('sends along all of them', async () => {
+      const { logs } = await sendFlow(d, paths);
+      (await balanceOf(b, d)).should.be.bignumber.equal(bn(10));
+      (await balanceOf(c, d)).should.be.bignumber.equal(bn(20));
+      (await balanceOf(f, d)).should.be.bignumber.equal(bn(30));
+      expectEvent.inLogs(logs, 'HubTransfer', { from: a, to: d })
+        .args.amount.should.be.bignumber.equal(bn(60));
+    });
+
+    it('joins again in the middle', async () => {
+      // b and c both send to e, which passes on both tokens to d
+      await hub.trust(b, 50, { from: e });
+      await hub.trust(c, 50, { from: e });
+      await hub.trust(b, 50, { from: d });
+      await hub.trust(c, 50, { from: d });
+      await sendFlow(d, [
+        [a, a, b, 10],
+        [a, a, c, 20],
+        [b, b, e, 10],
+        [c, c, e, 20],
+        [b, e, d, 10],
+        [c, e, d, 20],
+      ]);
+      (await balanceOf(b, d)).should.be.bignumber.equal(bn(10));
+      (await balanceOf(c, d)).should.be.bignumber.equal(bn(20));
+      (await balanceOf(b, e)).should.be.bignumber.equal(bn(0));
+    });
+  });
+
+  describe('the edge cap', async () => {
+    beforeEach(async () => {
+      await hub.trust(a, 50, { from: b });
+    });
+
+    it('is 20 by default', async () => {
+      (await hub.maxFlowEdges()).should.be.bignumber.equal(bn(20));
+    });
+
+    it('rejects flows with more edges', async () => {
+      await hub.updateMaxFlowEdges(2, { from: systemOwner });
+      await assertRevert(sendFlow(b, [[a, a, b, 1], [a, a, b, 1], [a, a, b, 1]]),
+        'Too many edges');
+      await sendFlow(b, [[a, a, b, 1], [a, a, b, 1]]);
+    });
+
+    it('can not be changed by attacker', async () => {
+      await assertRevert(hub.updateMaxFlowEdges(50, { from: attacker }));
+    });
+
+    it('can not be 0', async () => {
+      await assertRevert(hub.updateMaxFlowEdges(0, { from: systemOwner }),
+        'Flows need at least one edge');
+    });
+  });
+});
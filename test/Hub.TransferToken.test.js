@@ -0,0 +1,94 @@
+const { assertRevert } = require('./helpers/assertRevert');
+const expectEvent = require('./helpers/expectEvent');
+const { BigNumber, CHAIN_ID } = require('./helpers/constants');
+const { bn } = require('./helpers/math');
+const { takeSnapshot, revertToSnapshot } = require('./helpers/snapshot');
+
+require('chai')
+  .use(require('chai-bn')(BigNumber))
+  .should();
+
+const Hub = artifacts.require('MockHub');
+const Token = artifacts.require('Token');
+
+contract('Hub - transferToken', ([_, systemOwner, attacker, safeOwner, normalUser, thirdUser]) => { // eslint-disable-line no-unused-vars
+  let hub = null;
+  let safeOwnerToken = null;
+
+  const inflation = bn(275);
+  const period = bn(7885000000);
+  const symbol = 'CRC';
+  const initialPayout = bn(100);
+  const tokenName = 'testToken';
+  const trustLimit = 50;
+
+  const gas = 6721975;
+
+  beforeEach(async () => {
+    hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+    await hub.signup(tokenName, { from: safeOwner });
+    await hub.signup(tokenName, { from: normalUser });
+    await hub.signup(tokenName, { from: thirdUser });
+    await hub.trust(safeOwner, trustLimit, { from: normalUser });
+    safeOwnerToken = await Token.at(await hub.userToToken(safeOwner));
+  });
+
+  describe('when the destination trusts the token', async () => {
+    beforeEach(async () => {
+      await hub.transferToken(safeOwner, normalUser, bn(20), { from: safeOwner });
+    });
+
+    it('deducts senders balance', async () => {
+      (await safeOwnerToken.balanceOf(safeOwner)).should.be.bignumber.equal(bn(80));
+    });
+
+    it('credits the destination', async () => {
+      (await safeOwnerToken.balanceOf(normalUser)).should.be.bignumber.equal(bn(20));
+    });
+
+    it('creates a HubTransfer event', async () => {
+      const logs = await hub.getPastEvents('HubTransfer', { fromBlock: 0, toBlock: 'latest' });
+      const event = expectEvent.inLogs(logs, 'HubTransfer', {
+        from: safeOwner,
+        to: normalUser,
+      });
+      event.args.amount.should.be.bignumber.equal(bn(20));
+    });
+
+    it('can send the token on to its owner without trust', async () => {
+      await hub.transferToken(safeOwner, safeOwner, bn(20), { from: normalUser });
+      (await safeOwnerToken.balanceOf(safeOwner)).should.be.bignumber.equal(initialPayout);
+    });
+  });
+
+  describe('when the transfer breaks trust', async () => {
+    it('reverts above the trust limit', async () => {
+      await assertRevert(hub.transferToken(safeOwner, normalUser, bn(trustLimit + 1),
+        { from: safeOwner }));
+    });
+
+    it('reverts when the destination does not trust the token', async () => {
+      await assertRevert(hub.transferToken(normalUser, safeOwner, bn(1), { from: normalUser }));
+    });
+
+    it('reverts for a token that does not exist', async () => {
+      await assertRevert(hub.transferToken(attacker, normalUser, bn(1), { from: attacker }));
+    });
+  });
+
+  describe('gas', async () => {
+    it('costs less than the same one-hop transferThrough', async () => {
+      const amount = bn(20);
+      const snapshot = await takeSnapshot();
+      const through = await hub.transferThrough(
+        [safeOwner], [safeOwner], [normalUser], [amount], { from: safeOwner, gas },
+      );
+      await revertToSnapshot(snapshot);
+      const direct = await hub.transferToken(safeOwner, normalUser, amount,
+        { from: safeOwner, gas });
+      (await safeOwnerToken.balanceOf(normalUser)).should.be.bignumber.equal(amount);
+      direct.receipt.gasUsed.should.be.below(through.receipt.gasUsed);
+    });
+  });
+});
@@ -2,7 +2,7 @@ const truffleContract = require('truffle-contract');
 const { assertRevert } = require('./helpers/assertRevert');
 const expectEvent = require('./helpers/expectEvent');
 const safeArtifacts = require('@circles/safe-contracts/build/contracts/GnosisSafe.json');
-const { BigNumber, ZERO_ADDRESS } = require('./helpers/constants');
+const { BigNumber, CHAIN_ID, ZERO_ADDRESS } = require('./helpers/constants');
 const { getTimestampFromTx } = require('./helpers/getTimestamp');
 const { bn } = require('./helpers/math');
 
@@ -15,7 +15,7 @@ const Token = artifacts.require('Token');
 const GnosisSafe = truffleContract(safeArtifacts);
 GnosisSafe.setProvider(web3.currentProvider);
 
-contract('Hub - transtive trust', ([_, systemOwner, attacker, safeOwner, normalUser, thirdUser, fourthUser]) => { // eslint-disable-line no-unused-vars
+contract('Hub - transtive trust', ([_, systemOwner, attacker, safeOwner, normalUser, thirdUser, fourthUser, ...others]) => { // eslint-disable-line no-unused-vars
   let hub = null;
   let safe = null;
 
@@ -29,7 +29,7 @@ contract('Hub - transtive trust', ([_, systemOwner, attacker, safeOwner, normalU
 
   beforeEach(async () => {
     hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
-      { from: systemOwner, gas: 0xfffffffffff });
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
     safe = await GnosisSafe.new({ from: systemOwner });
     await safe.setup([systemOwner], 1, ZERO_ADDRESS, '0x', ZERO_ADDRESS, 0, ZERO_ADDRESS, { from: systemOwner });
   });
@@ -89,32 +89,6 @@ contract('Hub - transtive trust', ([_, systemOwner, attacker, safeOwner, normalU
           .should.be.bignumber.equal(bn(25));
       });
 
-      it('cleans up the seen array', async () => {
-        const seen = await hub.getSeen();
-        seen.should.be.bignumber.equal(bn(0));
-      });
-
-      it('cleans up the validation mapping for safeOwner', async () => {
-        const validation = await hub.getValidation(safeOwner);
-        validation['0'].should.be.equal(ZERO_ADDRESS);
-        validation['1'].should.be.bignumber.equal(bn(0));
-        validation['2'].should.be.bignumber.equal(bn(0));
-      });
-
-      it('cleans up the validation mapping for normalUser', async () => {
-        const validation = await hub.getValidation(normalUser);
-        validation['0'].should.be.equal(ZERO_ADDRESS);
-        validation['1'].should.be.bignumber.equal(bn(0));
-        validation['2'].should.be.bignumber.equal(bn(0));
-      });
-
-      it('cleans up the validation mapping for thirdUser', async () => {
-        const validation = await hub.getValidation(thirdUser);
-        validation['0'].should.be.equal(ZERO_ADDRESS);
-        validation['1'].should.be.bignumber.equal(bn(0));
-        validation['2'].should.be.bignumber.equal(bn(0));
-      });
-
       it('creates a HubTransfer event', async () => {
         const logs = await hub.getPastEvents('HubTransfer', { fromBlock: 0, toBlock: 'latest' });
 
@@ -196,39 +170,6 @@ contract('Hub - transtive trust', ([_, systemOwner, attacker, safeOwner, normalU
           .should.be.bignumber.equal(bn(10));
       });
 
-      it('cleans up the seen array', async () => {
-        const seen = await hub.getSeen();
-        seen.should.be.bignumber.equal(bn(0));
-      });
-
-      it('cleans up the validation mapping for safeOwner', async () => {
-        const validation = await hub.getValidation(safeOwner);
-        validation['0'].should.be.equal(ZERO_ADDRESS);
-        validation['1'].should.be.bignumber.equal(bn(0));
-        validation['2'].should.be.bignumber.equal(bn(0));
-      });
-
-      it('cleans up the validation mapping for normalUser', async () => {
-        const validation = await hub.getValidation(normalUser);
-        validation['0'].should.be.equal(ZERO_ADDRESS);
-        validation['1'].should.be.bignumber.equal(bn(0));
-        validation['2'].should.be.bignumber.equal(bn(0));
-      });
-
-      it('cleans up the validation mapping for thirdUser', async () => {
-        const validation = await hub.getValidation(thirdUser);
-        validation['0'].should.be.equal(ZERO_ADDRESS);
-        validation['1'].should.be.bignumber.equal(bn(0));
-        validation['2'].should.be.bignumber.equal(bn(0));
-      });
-
-      it('cleans up the validation mapping for fourthUser', async () => {
-        const validation = await hub.getValidation(fourthUser);
-        validation['0'].should.be.equal(ZERO_ADDRESS);
-        validation['1'].should.be.bignumber.equal(bn(0));
-        validation['2'].should.be.bignumber.equal(bn(0));
-      });
-
       it('creates a HubTransfer event', async () => {
         const logs = await hub.getPastEvents('HubTransfer', { fromBlock: 0, toBlock: 'latest' });
 
@@ -410,34 +351,89 @@ contract('Hub - transtive trust', ([_, systemOwner, attacker, safeOwner, normalU
           .should.be.bignumber.equal(bn(0));
       });
 
-      it('cleans up the seen array', async () => {
-        const seen = await hub.getSeen();
-        seen.should.be.bignumber.equal(bn(0));
+      it('creates a HubTransfer event', async () => {
+        const logs = await hub.getPastEvents('HubTransfer', { fromBlock: 0, toBlock: 'latest' });
+
+        const event = expectEvent.inLogs(logs, 'HubTransfer', {
+          from: safeOwner,
+          to: normalUser,
+        });
+
+        return event.args.amount.should.be.bignumber.equal(bn(25));
       });
+    });
 
-      it('cleans up the validation mapping for safeOwner', async () => {
-        const validation = await hub.getValidation(safeOwner);
-        validation['0'].should.be.equal(ZERO_ADDRESS);
-        validation['1'].should.be.bignumber.equal(bn(0));
-        validation['2'].should.be.bignumber.equal(bn(0));
+    describe('when dest already holds some of the token', async () => {
+      const trustLimit = 50;
+      const held = bn(20);
+
+      beforeEach(async () => {
+        await hub.signup(tokenName, { from: safeOwner });
+        await hub.signup(tokenName, { from: normalUser });
+        await hub.trust(safeOwner, trustLimit, { from: normalUser });
+        const token = await Token.at(await hub.userToToken(safeOwner));
+        await token.transfer(normalUser, held, { from: safeOwner });
       });
 
-      it('cleans up the validation mapping for normalUser', async () => {
-        const validation = await hub.getValidation(normalUser);
-        validation['0'].should.be.equal(ZERO_ADDRESS);
-        validation['1'].should.be.bignumber.equal(bn(0));
-        validation['2'].should.be.bignumber.equal(bn(0));
+      it('counts what dest holds on top of what checkSendLimit takes off', async () => {
+        const amount = bn(trustLimit).sub(held).sub(held);
+        (await hub.checkSendLimit(safeOwner, safeOwner, normalUser))
+          .should.be.bignumber.equal(bn(trustLimit).sub(held));
+        await hub.transferThrough([safeOwner], [safeOwner], [normalUser], [amount],
+          { from: safeOwner, gas });
+        const token = await Token.at(await hub.userToToken(safeOwner));
+        (await token.balanceOf(normalUser)).should.be.bignumber.equal(held.add(amount));
       });
 
-      it('creates a HubTransfer event', async () => {
-        const logs = await hub.getPastEvents('HubTransfer', { fromBlock: 0, toBlock: 'latest' });
+      it('should throw when sending more than that', async () => {
+        const amount = bn(trustLimit).sub(held).sub(held).add(bn(1));
+        await assertRevert(hub.transferThrough([safeOwner], [safeOwner], [normalUser], [amount],
+          { from: safeOwner, gas }), 'Trust limit exceeded');
+      });
+    });
 
+    describe('when the path is longer than the hop cap', async () => {
+      const trustLimit = 50;
+      const amount = bn(25);
+      const users = [safeOwner, normalUser, thirdUser, fourthUser, ...others];
+
+      beforeEach(async () => {
+        for (let i = 0; i < users.length; i += 1) {
+          await hub.signup(tokenName, { from: users[i] }); // eslint-disable-line no-await-in-loop
+          if (i > 0) {
+            await hub.trust(users[i - 1], trustLimit, { from: users[i] }); // eslint-disable-line no-await-in-loop
+          }
+        }
+      });
+
+      it('should throw by default', async () => {
+        await assertRevert(hub
+          .transferThrough(
+            users.slice(0, -1),
+            users.slice(0, -1),
+            users.slice(1),
+            users.slice(1).map(() => amount),
+            { from: safeOwner, gas }));
+      });
+
+      it('sends along the path once the owner raises the cap', async () => {
+        await hub.updateMaxHops(users.length - 1, { from: systemOwner });
+        await hub
+          .transferThrough(
+            users.slice(0, -1),
+            users.slice(0, -1),
+            users.slice(1),
+            users.slice(1).map(() => amount),
+            { from: safeOwner, gas });
+        const last = users[users.length - 1];
+        const token = await Token.at(await hub.userToToken(users[users.length - 2]));
+        (await token.balanceOf(last)).should.be.bignumber.equal(amount);
+        const logs = await hub.getPastEvents('HubTransfer', { fromBlock: 0, toBlock: 'latest' });
         const event = expectEvent.inLogs(logs, 'HubTransfer', {
           from: safeOwner,
-          to: normalUser,
+          to: last,
         });
-
-        return event.args.amount.should.be.bignumber.equal(bn(25));
+        event.args.amount.should.be.bignumber.equal(amount);
       });
     });
   });
@@ -2,7 +2,7 @@ const truffleContract = require('truffle-contract');
 const { assertRevert } = require('./helpers/assertRevert');
 const expectEvent = require('./helpers/expectEvent');
 const safeArtifacts = require('@circles/safe-contracts/build/contracts/GnosisSafe.json');
-const { BigNumber, ZERO_ADDRESS } = require('./helpers/constants');
+const { BigNumber, CHAIN_ID, ZERO_ADDRESS } = require('./helpers/constants');
 const { bn } = require('./helpers/math');
 const { increase } = require('./helpers/increaseTime');
 
@@ -30,7 +30,7 @@ contract('Hub - trust limits', ([_, systemOwner, attacker, safeOwner, normalUser
 
   beforeEach(async () => {
     hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
-      { from: systemOwner, gas: 0xfffffffffff });
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
     safe = await GnosisSafe.new({ from: systemOwner });
     await safe.setup([systemOwner], 1, ZERO_ADDRESS, '0x', ZERO_ADDRESS, 0, ZERO_ADDRESS, { from: systemOwner });
   });
@@ -324,4 +324,256 @@ contract('Hub - trust limits', ([_, systemOwner, attacker, safeOwner, normalUser
       });
     });
   });
+
+  describe('when trust expires', async () => {
+    const trustLimit = 50;
+    let expiry;
+
+    beforeEach(async () => {
+      await hub.signup(tokenName, { from: safeOwner });
+      await hub.signup(tokenName, { from: normalUser });
+      expiry = (await web3.eth.getBlock('latest')).timestamp + 1000;
+      await hub.trustUntil(normalUser, trustLimit, expiry, { from: safeOwner });
+    });
+
+    it('creates a trust event with the expiry', async () => {
+      const logs = await hub.getPastEvents('Trust', { fromBlock: 0, toBlock: 'latest' });
+      const event = expectEvent.inLogs(logs, 'Trust', { canSendTo: safeOwner, user: normalUser });
+      event.args.limit.should.be.bignumber.equal(bn(trustLimit));
+      event.args.expiry.should.be.bignumber.equal(bn(expiry));
+    });
+
+    it('permanent trust has no expiry', async () => {
+      const { logs } = await hub.trust(normalUser, trustLimit, { from: safeOwner });
+      const event = expectEvent.inLogs(logs, 'Trust', { canSendTo: safeOwner, user: normalUser });
+      event.args.expiry.should.be.bignumber.equal(bn(0));
+      (await hub.expiries(safeOwner, normalUser)).should.be.bignumber.equal(bn(0));
+    });
+
+    it('counts until the expiry', async () => {
+      (await hub.expiries(safeOwner, normalUser)).should.be.bignumber.equal(bn(expiry));
+      (await hub.trustLimit(safeOwner, normalUser)).should.be.bignumber.equal(bn(trustLimit));
+      (await hub.checkSendLimit(normalUser, normalUser, safeOwner))
+        .should.be.bignumber.equal(bn(50));
+    });
+
+    it('counts as 0 after the expiry', async () => {
+      await increase(1001);
+      (await hub.trustLimit(safeOwner, normalUser)).should.be.bignumber.equal(bn(0));
+      (await hub.checkSendLimit(normalUser, normalUser, safeOwner))
+        .should.be.bignumber.equal(bn(0));
+    });
+
+    it('keeps the limit that expired', async () => {
+      await increase(1001);
+      (await hub.limits(safeOwner, normalUser)).should.be.bignumber.equal(bn(trustLimit));
+    });
+
+    it('can be used in transferThrough until the expiry', async () => {
+      await hub.transferThrough([normalUser], [normalUser], [safeOwner], [bn(20)],
+        { from: normalUser, gas });
+      const token = await Token.at(await hub.userToToken(normalUser));
+      (await token.balanceOf(safeOwner)).should.be.bignumber.equal(bn(20));
+    });
+
+    it('can not be used in transferThrough after the expiry', async () => {
+      await increase(1001);
+      await assertRevert(hub.transferThrough([normalUser], [normalUser], [safeOwner], [bn(20)],
+        { from: normalUser, gas }));
+    });
+
+    it('can not be used in transferToken after the expiry', async () => {
+      await increase(1001);
+      await assertRevert(hub.transferToken(normalUser, safeOwner, bn(20),
+        { from: normalUser, gas }));
+    });
+
+    it('can be made permanent again', async () => {
+      await increase(1001);
+      await hub.trust(normalUser, trustLimit, { from: safeOwner });
+      (await hub.trustLimit(safeOwner, normalUser)).should.be.bignumber.equal(bn(trustLimit));
+    });
+
+    it('applies to organizations', async () => {
+      await hub.organizationSignup({ from: thirdUser });
+      await hub.trustUntil(normalUser, trustLimit, expiry, { from: thirdUser });
+      (await hub.checkSendLimit(normalUser, normalUser, thirdUser))
+        .should.be.bignumber.equal(bn(100));
+      await increase(1001);
+      (await hub.checkSendLimit(normalUser, normalUser, thirdUser))
+        .should.be.bignumber.equal(bn(0));
+    });
+
+    it('throws for an expiry that has passed', async () => {
+      const past = (await web3.eth.getBlock('latest')).timestamp - 1;
+      await assertRevert(hub.trustUntil(normalUser, trustLimit, past, { from: safeOwner }));
+    });
+
+    it('throws for yourself', async () => {
+      await assertRevert(hub.trustUntil(safeOwner, trustLimit, expiry, { from: safeOwner }));
+    });
+  });
+
+  describe('trust limits are percentages', async () => {
+    beforeEach(async () => {
+      await hub.signup(tokenName, { from: safeOwner });
+      await hub.signup(tokenName, { from: normalUser });
+    });
+
+    it('can be 100', async () => {
+      await hub.trust(normalUser, 100, { from: safeOwner });
+      (await hub.limits(safeOwner, normalUser)).should.be.bignumber.equal(bn(100));
+    });
+
+    it('can not be more than 100', async () => {
+      await assertRevert(hub.trust(normalUser, 101, { from: safeOwner }),
+        'Trust limit must be a percentage from 0 to 100');
+    });
+
+    it('can not be more than 100 when they expire', async () => {
+      const expiry = (await web3.eth.getBlock('latest')).timestamp + 1000;
+      await assertRevert(hub.trustUntil(normalUser, 10000, expiry, { from: safeOwner }),
+        'Trust limit must be a percentage from 0 to 100');
+    });
+  });
+
+  describe('when trust is an amount', async () => {
+    const amount = bn(250);
+    let token;
+
+    beforeEach(async () => {
+      await hub.signup(tokenName, { from: safeOwner });
+      await hub.signup(tokenName, { from: normalUser });
+      token = await Token.at(await hub.userToToken(normalUser));
+      await increase(period.toNumber());
+      await token.update();
+      await hub.trustAmount(normalUser, amount, { from: safeOwner });
+    });
+
+    it('creates a trust event', async () => {
+      const logs = await hub.getPastEvents('Trust', { fromBlock: 0, toBlock: 'latest' });
+      const event = expectEvent.inLogs(logs, 'Trust', {
+        canSendTo: safeOwner, user: normalUser, absolute: true,
+      });
+      event.args.limit.should.be.bignumber.equal(amount);
+    });
+
+    it('is marked as an amount', async () => {
+      (await hub.absoluteLimits(safeOwner, normalUser)).should.be.equal(true);
+      (await hub.absoluteLimits(safeOwner, safeOwner)).should.be.equal(false);
+    });
+
+    it('can be more than 100', async () => {
+      (await hub.limits(safeOwner, normalUser)).should.be.bignumber.equal(amount);
+    });
+
+    it('checkSendLimit returns the amount, whatever dest\'s supply', async () => {
+      (await hub.checkSendLimit(normalUser, normalUser, safeOwner))
+        .should.be.bignumber.equal(amount);
+    });
+
+    it('checkSendLimit accounts for what dest holds', async () => {
+      await token.transfer(safeOwner, bn(100), { from: normalUser, gas });
+      (await hub.checkSendLimit(normalUser, normalUser, safeOwner))
+        .should.be.bignumber.equal(amount.sub(bn(100)));
+    });
+
+    it('can be sent up to the amount', async () => {
+      await hub.transferThrough([normalUser], [normalUser], [safeOwner], [amount],
+        { from: normalUser, gas });
+      (await token.balanceOf(safeOwner)).should.be.bignumber.equal(amount);
+    });
+
+    it('can not be sent past the amount', async () => {
+      await assertRevert(hub.transferThrough([normalUser], [normalUser], [safeOwner],
+        [amount.add(bn(1))], { from: normalUser, gas }), 'Trust limit exceeded');
+    });
+
+    it('goes back to a percentage with trust', async () => {
+      await hub.trust(normalUser, 50, { from: safeOwner });
+      (await hub.absoluteLimits(safeOwner, normalUser)).should.be.equal(false);
+      (await hub.checkSendLimit(normalUser, normalUser, safeOwner))
+        .should.be.bignumber.equal(bn(50));
+    });
+
+    it('caps what organizations accept', async () => {
+      await hub.organizationSignup({ from: thirdUser });
+      await hub.trustAmount(normalUser, bn(30), { from: thirdUser });
+      (await hub.checkSendLimit(normalUser, normalUser, thirdUser))
+        .should.be.bignumber.equal(bn(30));
+      await hub.transferToken(normalUser, thirdUser, bn(10), { from: normalUser });
+      (await hub.checkSendLimit(normalUser, normalUser, thirdUser))
+        .should.be.bignumber.equal(bn(20));
+    });
+
+    it('throws for yourself', async () => {
+      await assertRevert(hub.trustAmount(safeOwner, amount, { from: safeOwner }));
+    });
+  });
+
+  describe('listing trust', async () => {
+    beforeEach(async () => {
+      await hub.signup(tokenName, { from: safeOwner });
+      await hub.signup(tokenName, { from: normalUser });
+      await hub.signup(tokenName, { from: thirdUser });
+      await hub.trust(normalUser, 50, { from: safeOwner });
+      await hub.trust(thirdUser, 20, { from: safeOwner });
+      await hub.trust(safeOwner, 50, { from: thirdUser });
+    });
+
+    it('lists whom a user trusts, themselves first', async () => {
+      (await hub.trusting(safeOwner, 0, 10)).should.be.deep
+        .equal([safeOwner, normalUser, thirdUser]);
+      (await hub.trustingCount(safeOwner)).should.be.bignumber.equal(bn(3));
+    });
+
+    it('lists who trusts a user', async () => {
+      (await hub.trustedBy(safeOwner, 0, 10)).should.be.deep.equal([safeOwner, thirdUser]);
+      (await hub.trustedBy(normalUser, 0, 10)).should.be.deep.equal([normalUser, safeOwner]);
+      (await hub.trustedByCount(thirdUser)).should.be.bignumber.equal(bn(2));
+    });
+
+    it('lists a page', async () => {
+      (await hub.trusting(safeOwner, 1, 1)).should.be.deep.equal([normalUser]);
+      (await hub.trusting(safeOwner, 2, 5)).should.be.deep.equal([thirdUser]);
+      (await hub.trusting(safeOwner, 3, 5)).should.be.deep.equal([]);
+    });
+
+    it('does not list a user twice when their limit changes', async () => {
+      await hub.trust(normalUser, 10, { from: safeOwner });
+      await hub.trustAmount(normalUser, 30, { from: safeOwner });
+      (await hub.trustingCount(safeOwner)).should.be.bignumber.equal(bn(3));
+      (await hub.trustedByCount(normalUser)).should.be.bignumber.equal(bn(2));
+    });
+
+    it('stops listing trust that is removed', async () => {
+      await hub.trust(normalUser, 0, { from: safeOwner });
+      (await hub.trusting(safeOwner, 0, 10)).should.be.deep.equal([safeOwner, thirdUser]);
+      (await hub.trustedBy(normalUser, 0, 10)).should.be.deep.equal([normalUser]);
+    });
+
+    it('lists trust that is given again', async () => {
+      await hub.trust(safeOwner, 0, { from: thirdUser });
+      await hub.trust(safeOwner, 30, { from: thirdUser });
+      (await hub.trustedBy(safeOwner, 0, 10)).should.be.deep.equal([safeOwner, thirdUser]);
+    });
+
+    it('lists organizations', async () => {
+      await hub.organizationSignup({ from: fourthUser });
+      await hub.trust(normalUser, 100, { from: fourthUser });
+      (await hub.trusting(fourthUser, 0, 10)).should.be.deep.equal([normalUser]);
+      (await hub.trustedBy(normalUser, 0, 10)).should.be.deep.equal([normalUser, safeOwner,
+        fourthUser]);
+    });
+
+    it('moves the lists when a user migrates', async () => {
+      await hub.migrate(fourthUser, [normalUser, thirdUser], [thirdUser], { from: safeOwner });
+      (await hub.trusting(safeOwner, 0, 10)).should.be.deep.equal([]);
+      (await hub.trustedBy(safeOwner, 0, 10)).should.be.deep.equal([]);
+      (await hub.trusting(fourthUser, 0, 10)).should.have.members([fourthUser, normalUser,
+        thirdUser]);
+      (await hub.trustedBy(fourthUser, 0, 10)).should.have.members([fourthUser, thirdUser]);
+      (await hub.trusting(thirdUser, 0, 10)).should.have.members([thirdUser, fourthUser]);
+    });
+  });
 });
@@ -4,7 +4,7 @@ const { executeSafeTx } = require('./helpers/executeSafeTx');
 const expectEvent = require('./helpers/expectEvent');
 const safeArtifacts = require('@circles/safe-contracts/build/contracts/GnosisSafe.json');
 const proxyArtifacts = require('@circles/safe-contracts/build/contracts/ProxyFactory.json');
-const { BigNumber, ZERO_ADDRESS } = require('./helpers/constants');
+const { BigNumber, CHAIN_ID, ZERO_ADDRESS } = require('./helpers/constants');
 const { getTimestampFromTx } = require('./helpers/getTimestamp');
 const { bn } = require('./helpers/math');
 
@@ -12,6 +12,10 @@ require('chai')
   .use(require('chai-bn')(BigNumber))
   .should();
 
+// Hub.Parameter
+const INFLATION = 0;
+const RATE = 1;
+
 const Hub = artifacts.require('MockHub');
 const Token = artifacts.require('Token');
 const GnosisSafe = truffleContract(safeArtifacts);
@@ -35,7 +39,7 @@ contract('Hub - signup and permissions', ([_, systemOwner, attacker, safeOwner,
 
   beforeEach(async () => {
     hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialIssuance,
-      { from: systemOwner, gas: 0xfffffffffff });
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
     safe = await GnosisSafe.new({ from: systemOwner });
     proxyFactory = await ProxyFactory.new({ from: systemOwner });
     await safe.setup([systemOwner], 1, ZERO_ADDRESS, '0x', ZERO_ADDRESS, 0, ZERO_ADDRESS, { from: systemOwner });
@@ -54,7 +58,7 @@ contract('Hub - signup and permissions', ([_, systemOwner, attacker, safeOwner,
   });
 
   it('attacker cannot change inflation', async () => {
-    await assertRevert(hub.updateInflation(42, { from: attacker }));
+    await assertRevert(hub.proposeParameterChange(INFLATION, 300, { from: attacker }));
   });
 
   it('has an starting rate', async () => {
@@ -62,7 +66,7 @@ contract('Hub - signup and permissions', ([_, systemOwner, attacker, safeOwner,
   });
 
   it('attacker cannot change initialIssuance', async () => {
-    await assertRevert(hub.updateRate(42, { from: attacker }));
+    await assertRevert(hub.proposeParameterChange(RATE, 42, { from: attacker }));
   });
 
   it('has a symbol', async () => {
@@ -73,6 +77,14 @@ contract('Hub - signup and permissions', ([_, systemOwner, attacker, safeOwner,
     await assertRevert(hub.updateSymbol('PLUM', { from: attacker }));
   });
 
+  it('has a hop cap', async () => {
+    (await hub.maxHops()).should.be.bignumber.equal(bn(5));
+  });
+
+  it('attacker cannot change the hop cap', async () => {
+    await assertRevert(hub.updateMaxHops(20, { from: attacker }));
+  });
+
   it('has the right deployed time', async () => {
     const timestamp = await getTimestampFromTx(hub.transactionHash, web3);
     const deployed = await hub.deployedAt();
@@ -81,24 +93,22 @@ contract('Hub - signup and permissions', ([_, systemOwner, attacker, safeOwner,
 
   describe('owner can change system vars', async () => {
     after(async () => {
-      await hub.updateInflation(inflation, { from: systemOwner });
       await hub.updateSymbol(symbol, { from: systemOwner });
-      await hub.updateRate(initialIssuance, { from: systemOwner });
+      await hub.updateMaxHops(5, { from: systemOwner });
     });
 
-    it('owner can change inflation', async () => {
-      await hub.updateRate(1, { from: systemOwner });
-      (await hub.initialIssuance()).should.be.bignumber.equal(bn(1));
+    it('owner can change symbol', async () => {
+      await hub.updateSymbol('PLUM', { from: systemOwner });
+      (await hub.symbol()).should.be.equal('PLUM');
     });
 
-    it('owner can change inflation', async () => {
-      await hub.updateInflation(1, { from: systemOwner });
-      (await hub.inflation()).should.be.bignumber.equal(bn(1));
+    it('owner can change the hop cap', async () => {
+      await hub.updateMaxHops(20, { from: systemOwner });
+      (await hub.maxHops()).should.be.bignumber.equal(bn(20));
     });
 
-    it('owner can change symbol', async () => {
-      await hub.updateSymbol('PLUM', { from: systemOwner });
-      (await hub.symbol()).should.be.equal('PLUM');
+    it('owner cannot remove every hop', async () => {
+      await assertRevert(hub.updateMaxHops(0, { from: systemOwner }));
     });
   });
 
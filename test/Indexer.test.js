@@ -0,0 +1,193 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BigNumber, CHAIN_ID } = require('./helpers/constants');
+const { bn } = require('./helpers/math');
+const { takeSnapshot, revertToSnapshot } = require('./helpers/snapshot');
+const { createIndexer } = require('../src/indexer');
+
+const should = require('chai')
+  .use(require('chai-bn')(BigNumber))
+  .should();
+
+const Hub = artifacts.require('MockHub');
+const Token = artifacts.require('Token');
+
+contract('Indexer', ([_, systemOwner, safeOwner, normalUser, thirdUser]) => { // eslint-disable-line no-unused-vars
+  let hub = null;
+  let indexer = null;
+  let fromBlock = null;
+
+  const inflation = bn(275);
+  const period = bn(7885000000);
+  const symbol = 'CRC';
+  const initialPayout = bn(100);
+  const tokenName = 'testToken';
+
+  const gas = 6721975;
+
+  beforeEach(async () => {
+    hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+    fromBlock = (await web3.eth.getTransaction(hub.transactionHash)).blockNumber;
+    await hub.signup(tokenName, { from: safeOwner });
+    await hub.signup(tokenName, { from: normalUser });
+    await hub.trust(safeOwner, 50, { from: normalUser });
+    indexer = createIndexer({
+      web3, hub, Token, fromBlock,
+    });
+    await indexer.sync();
+  });
+
+  describe('replaying events', async () => {
+    it('indexes up to the latest block', async () => {
+      const latest = await web3.eth.getBlock('latest');
+      indexer.head().number.should.be.equal(latest.number);
+      indexer.head().hash.should.be.equal(latest.hash);
+    });
+
+    it('indexes signups', async () => {
+      indexer.users().should.have.members([safeOwner, normalUser]);
+      indexer.tokenOf(safeOwner).should.be.equal(await hub.userToToken(safeOwner));
+      indexer.userOf(await hub.userToToken(normalUser)).should.be.equal(normalUser);
+    });
+
+    it('indexes organizations', async () => {
+      await hub.organizationSignup({ from: thirdUser });
+      await indexer.sync();
+      indexer.organizations().should.have.members([thirdUser]);
+      indexer.users().should.not.include(thirdUser);
+    });
+
+    it('indexes migrations', async () => {
+      const token = await hub.userToToken(safeOwner);
+      await hub.migrate(thirdUser, [], [normalUser], { from: safeOwner });
+      await indexer.sync();
+      indexer.users().should.have.members([thirdUser, normalUser]);
+      indexer.tokenOf(thirdUser).should.be.equal(token);
+      should.not.exist(indexer.tokenOf(safeOwner));
+      indexer.userOf(token).should.be.equal(thirdUser);
+      indexer.limit(normalUser, thirdUser).should.be.bignumber.equal(bn(50));
+      indexer.limit(normalUser, safeOwner).should.be.bignumber.equal(bn(0));
+    });
+
+    it('indexes trust', async () => {
+      indexer.limit(normalUser, safeOwner).should.be.bignumber.equal(bn(50));
+      indexer.limit(safeOwner, safeOwner).should.be.bignumber.equal(bn(100));
+      indexer.limit(safeOwner, normalUser).should.be.bignumber.equal(bn(0));
+    });
+
+    it('indexes when trust expires', async () => {
+      const expiry = (await web3.eth.getBlock('latest')).timestamp + 1000;
+      await hub.trustUntil(normalUser, 30, expiry, { from: safeOwner });
+      await indexer.sync();
+      indexer.expiry(safeOwner, normalUser).should.be.equal(expiry);
+      indexer.expiry(normalUser, safeOwner).should.be.equal(0);
+      indexer.limit(safeOwner, normalUser).should.be.bignumber.equal(bn(30));
+      indexer.limit(safeOwner, normalUser, expiry).should.be.bignumber.equal(bn(30));
+      indexer.limit(safeOwner, normalUser, expiry + 1).should.be.bignumber.equal(bn(0));
+      indexer.limit(normalUser, safeOwner, expiry + 1).should.be.bignumber.equal(bn(50));
+    });
+
+    it('indexes trust that is an amount', async () => {
+      await hub.trustAmount(normalUser, 500, { from: safeOwner });
+      await indexer.sync();
+      indexer.limit(safeOwner, normalUser).should.be.bignumber.equal(bn(500));
+      indexer.isAbsolute(safeOwner, normalUser).should.be.equal(true);
+      indexer.isAbsolute(normalUser, safeOwner).should.be.equal(false);
+    });
+
+    it('indexes the payout minted on signup', async () => {
+      indexer.balanceOf(safeOwner, safeOwner).should.be.bignumber.equal(initialPayout);
+    });
+
+    it('picks up new events on the next sync', async () => {
+      await hub.trust(safeOwner, 20, { from: normalUser });
+      await indexer.sync();
+      indexer.limit(normalUser, safeOwner).should.be.bignumber.equal(bn(20));
+    });
+
+    it('indexes transfers of tokens', async () => {
+      const token = await Token.at(await hub.userToToken(normalUser));
+      await token.transfer(thirdUser, bn(15), { from: normalUser });
+      await indexer.sync();
+      indexer.balanceOf(normalUser, normalUser).should.be.bignumber.equal(bn(85));
+      indexer.balanceOf(normalUser, thirdUser).should.be.bignumber.equal(bn(15));
+    });
+
+    it('indexes hub transfers', async () => {
+      await hub.transferThrough([safeOwner], [safeOwner], [normalUser], [bn(25)],
+        { from: safeOwner, gas });
+      await indexer.sync();
+      const [transfer] = indexer.hubTransfers();
+      transfer.from.should.be.equal(safeOwner);
+      transfer.to.should.be.equal(normalUser);
+      transfer.amount.should.be.equal('25');
+      indexer.balanceOf(safeOwner, normalUser).should.be.bignumber.equal(bn(25));
+    });
+
+    it('indexes tokens that are created after the first sync', async () => {
+      await hub.signup(tokenName, { from: thirdUser });
+      await indexer.sync();
+      indexer.balanceOf(thirdUser, thirdUser).should.be.bignumber.equal(initialPayout);
+    });
+  });
+
+  describe('when the chain reorgs', async () => {
+    let snapshot;
+
+    beforeEach(async () => {
+      snapshot = await takeSnapshot();
+      await hub.trust(safeOwner, 10, { from: normalUser });
+      await hub.signup(tokenName, { from: thirdUser });
+      await indexer.sync();
+      await revertToSnapshot(snapshot);
+    });
+
+    it('drops what was reorged away', async () => {
+      await hub.trust(normalUser, 30, { from: safeOwner });
+      await hub.trust(normalUser, 40, { from: safeOwner });
+      await indexer.sync();
+      indexer.limit(normalUser, safeOwner).should.be.bignumber.equal(bn(50));
+      indexer.limit(safeOwner, normalUser).should.be.bignumber.equal(bn(40));
+      should.not.exist(indexer.tokenOf(thirdUser));
+      indexer.balanceOf(thirdUser, thirdUser).should.be.bignumber.equal(bn(0));
+    });
+
+    it('follows the new chain', async () => {
+      await hub.trust(normalUser, 30, { from: safeOwner });
+      await hub.trust(normalUser, 40, { from: safeOwner });
+      await indexer.sync();
+      const latest = await web3.eth.getBlock('latest');
+      indexer.head().hash.should.be.equal(latest.hash);
+    });
+  });
+
+  describe('when restarted', async () => {
+    let file;
+
+    beforeEach(async () => {
+      file = path.join(os.tmpdir(), `circles-indexer-${Date.now()}.json`);
+      await createIndexer({
+        web3, hub, Token, fromBlock, file,
+      }).sync();
+    });
+
+    afterEach(async () => {
+      fs.unlinkSync(file);
+    });
+
+    it('resumes from the last block it finished', async () => {
+      const head = await web3.eth.getBlock('latest');
+      await hub.trust(safeOwner, 20, { from: normalUser });
+      const restarted = createIndexer({
+        web3, hub, Token, fromBlock, file,
+      });
+      restarted.head().number.should.be.equal(head.number);
+      restarted.limit(normalUser, safeOwner).should.be.bignumber.equal(bn(50));
+      await restarted.sync();
+      restarted.limit(normalUser, safeOwner).should.be.bignumber.equal(bn(20));
+      restarted.balanceOf(safeOwner, safeOwner).should.be.bignumber.equal(initialPayout);
+    });
+  });
+});
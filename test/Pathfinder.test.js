@@ -0,0 +1,236 @@
+const { BigNumber, CHAIN_ID } = require('./helpers/constants');
+const { bn } = require('./helpers/math');
+const { increase } = require('./helpers/increaseTime');
+const { loadGraph, findMaxFlow, findTransferSteps } = require('../src/pathfinder');
+
+require('chai')
+  .use(require('chai-bn')(BigNumber))
+  .should();
+
+const Hub = artifacts.require('MockHub');
+const Token = artifacts.require('Token');
+
+contract('Pathfinder', ([_, systemOwner, safeOwner, normalUser, thirdUser, fourthUser, fifthUser]) => { // eslint-disable-line no-unused-vars
+  let hub = null;
+
+  const inflation = bn(275);
+  const period = bn(7885000000);
+  const symbol = 'CRC';
+  const initialPayout = bn(100);
+  const tokenName = 'testToken';
+
+  const gas = 6721975;
+
+  const balanceOf = async (tokenOwner, user) => {
+    const token = await Token.at(await hub.userToToken(tokenOwner));
+    return token.balanceOf(user);
+  };
+
+  const submit = async ({
+    tokenOwners, srcs, dests, wads,
+  }, from) => hub.transferThrough(tokenOwners, srcs, dests, wads, { from, gas });
+
+  beforeEach(async () => {
+    hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+    await hub.signup(tokenName, { from: safeOwner });
+    await hub.signup(tokenName, { from: normalUser });
+    await hub.signup(tokenName, { from: thirdUser });
+    await hub.signup(tokenName, { from: fourthUser });
+  });
+
+  describe('when there is a single path', async () => {
+    beforeEach(async () => {
+      await hub.trust(safeOwner, 50, { from: normalUser });
+      await hub.trust(normalUser, 30, { from: thirdUser });
+    });
+
+    it('finds the max flow', async () => {
+      const graph = await loadGraph(hub, Token);
+      const { flow } = findMaxFlow(graph, safeOwner, thirdUser);
+      flow.should.be.bignumber.equal(bn(30));
+    });
+
+    it('finds nothing in the other direction', async () => {
+      const graph = await loadGraph(hub, Token);
+      const { flow } = findMaxFlow(graph, thirdUser, safeOwner);
+      flow.should.be.bignumber.equal(bn(0));
+    });
+
+    it('returns arrays the hub accepts', async () => {
+      const graph = await loadGraph(hub, Token);
+      const transfer = findTransferSteps(graph, safeOwner, thirdUser);
+      transfer.srcs.should.have.lengthOf(2);
+      const { logs } = await submit(transfer, safeOwner);
+      logs[0].event.should.be.equal('HubTransfer');
+      logs[0].args.amount.should.be.bignumber.equal(bn(30));
+      (await balanceOf(normalUser, thirdUser)).should.be.bignumber.equal(bn(30));
+    });
+
+    it('only sends the requested value', async () => {
+      const graph = await loadGraph(hub, Token);
+      const transfer = findTransferSteps(graph, safeOwner, thirdUser, bn(12));
+      transfer.amount.should.be.bignumber.equal(bn(12));
+      await submit(transfer, safeOwner);
+      (await balanceOf(safeOwner, safeOwner)).should.be.bignumber.equal(bn(88));
+    });
+
+    it('accounts for tokens dest already holds', async () => {
+      const token = await Token.at(await hub.userToToken(normalUser));
+      await token.transfer(thirdUser, bn(10), { from: normalUser });
+      const graph = await loadGraph(hub, Token);
+      const transfer = findTransferSteps(graph, safeOwner, thirdUser);
+      transfer.amount.should.be.bignumber.equal(bn(10));
+      await submit(transfer, safeOwner);
+    });
+
+    it('only reads the balances of accounts a token was sent to', async () => {
+      const token = await Token.at(await hub.userToToken(normalUser));
+      await token.transfer(thirdUser, bn(10), { from: normalUser });
+      const { balances } = await loadGraph(hub, Token);
+      Object.keys(balances[normalUser]).should.have.members([normalUser, thirdUser]);
+      Object.keys(balances[safeOwner]).should.have.members([safeOwner]);
+    });
+
+    it('ignores trust that has been revoked', async () => {
+      await hub.trust(normalUser, 0, { from: thirdUser });
+      const graph = await loadGraph(hub, Token);
+      const { flow } = findMaxFlow(graph, safeOwner, thirdUser);
+      flow.should.be.bignumber.equal(bn(0));
+    });
+
+    it('ignores trust that has expired', async () => {
+      const expiry = (await web3.eth.getBlock('latest')).timestamp + 1000;
+      await hub.trustUntil(normalUser, 30, expiry, { from: thirdUser });
+      await increase(1001);
+      const graph = await loadGraph(hub, Token);
+      const { flow } = findMaxFlow(graph, safeOwner, thirdUser);
+      flow.should.be.bignumber.equal(bn(0));
+    });
+  });
+
+  describe('when the flow splits', async () => {
+    beforeEach(async () => {
+      await hub.trust(safeOwner, 50, { from: normalUser });
+      await hub.trust(safeOwner, 50, { from: thirdUser });
+      await hub.trust(normalUser, 30, { from: fourthUser });
+      await hub.trust(thirdUser, 40, { from: fourthUser });
+    });
+
+    it('finds the max flow over both paths', async () => {
+      const graph = await loadGraph(hub, Token);
+      const { flow, paths } = findMaxFlow(graph, safeOwner, fourthUser);
+      flow.should.be.bignumber.equal(bn(70));
+      paths.should.have.lengthOf(2);
+    });
+
+    it('returns arrays the hub accepts', async () => {
+      const graph = await loadGraph(hub, Token);
+      const transfer = findTransferSteps(graph, safeOwner, fourthUser);
+      transfer.srcs.should.have.lengthOf(4);
+      const { logs } = await submit(transfer, safeOwner);
+      logs[0].args.amount.should.be.bignumber.equal(bn(70));
+      (await balanceOf(safeOwner, safeOwner)).should.be.bignumber.equal(bn(30));
+    });
+
+    it('drops paths that do not fit in the step limit', async () => {
+      const graph = await loadGraph(hub, Token);
+      const transfer = findTransferSteps(graph, safeOwner, fourthUser, undefined, { maxSteps: 3 });
+      transfer.amount.should.be.bignumber.equal(bn(40));
+      await submit(transfer, safeOwner);
+    });
+  });
+
+  describe('when an organization is on the path', async () => {
+    beforeEach(async () => {
+      await hub.organizationSignup({ from: fifthUser });
+      await hub.trust(safeOwner, 10, { from: fifthUser });
+    });
+
+    it('sends an organization everything it trusts', async () => {
+      const graph = await loadGraph(hub, Token);
+      const { flow } = findMaxFlow(graph, safeOwner, fifthUser);
+      flow.should.be.bignumber.equal(initialPayout);
+    });
+
+    it('sends an organization no more than an amount it set', async () => {
+      await hub.trustAmount(safeOwner, bn(35), { from: fifthUser });
+      const graph = await loadGraph(hub, Token);
+      const { flow } = findMaxFlow(graph, safeOwner, fifthUser);
+      flow.should.be.bignumber.equal(bn(35));
+    });
+
+    it('accounts for tokens the organization already holds', async () => {
+      await hub.transferToken(safeOwner, fifthUser, bn(30), { from: safeOwner });
+      const graph = await loadGraph(hub, Token);
+      const transfer = findTransferSteps(graph, safeOwner, fifthUser);
+      transfer.amount.should.be.bignumber.equal(bn(40));
+      await submit(transfer, safeOwner);
+    });
+
+    it('routes through tokens the organization holds', async () => {
+      await hub.trust(normalUser, 100, { from: fifthUser });
+      await hub.transferToken(normalUser, fifthUser, bn(30), { from: normalUser });
+      const graph = await loadGraph(hub, Token);
+      const transfer = findTransferSteps(graph, safeOwner, normalUser);
+      transfer.amount.should.be.bignumber.equal(bn(30));
+      await submit(transfer, safeOwner);
+      (await balanceOf(safeOwner, fifthUser)).should.be.bignumber.equal(bn(30));
+    });
+  });
+
+  describe('when a user migrated', async () => {
+    beforeEach(async () => {
+      await hub.trust(safeOwner, 50, { from: normalUser });
+      await hub.migrate(fifthUser, [safeOwner], [], { from: normalUser });
+    });
+
+    it('lists the token under its new owner', async () => {
+      const graph = await loadGraph(hub, Token);
+      graph.users.should.include(fifthUser);
+      graph.users.should.not.include(normalUser);
+    });
+
+    it('uses the trust that moved with it', async () => {
+      const graph = await loadGraph(hub, Token);
+      const { flow } = findMaxFlow(graph, safeOwner, fifthUser);
+      flow.should.be.bignumber.equal(bn(50));
+    });
+  });
+
+  describe('when the path is too long', async () => {
+    beforeEach(async () => {
+      await hub.signup(tokenName, { from: fifthUser });
+      await hub.signup(tokenName, { from: systemOwner });
+      await hub.signup(tokenName, { from: _ });
+      await hub.trust(safeOwner, 50, { from: normalUser });
+      await hub.trust(normalUser, 50, { from: thirdUser });
+      await hub.trust(thirdUser, 50, { from: fourthUser });
+      await hub.trust(fourthUser, 50, { from: fifthUser });
+      await hub.trust(fifthUser, 50, { from: systemOwner });
+      await hub.trust(systemOwner, 50, { from: _ });
+    });
+
+    it('still finds the max flow', async () => {
+      const graph = await loadGraph(hub, Token);
+      const { flow } = findMaxFlow(graph, safeOwner, _);
+      flow.should.be.bignumber.equal(bn(50));
+    });
+
+    it('returns no steps', async () => {
+      const graph = await loadGraph(hub, Token);
+      const transfer = findTransferSteps(graph, safeOwner, _);
+      transfer.amount.should.be.bignumber.equal(bn(0));
+      transfer.srcs.should.have.lengthOf(0);
+    });
+
+    it('uses the whole path once the hub allows it', async () => {
+      await hub.updateMaxHops(6, { from: systemOwner });
+      const graph = await loadGraph(hub, Token);
+      const transfer = findTransferSteps(graph, safeOwner, _);
+      transfer.amount.should.be.bignumber.equal(bn(50));
+      await submit(transfer, safeOwner);
+      (await balanceOf(systemOwner, _)).should.be.bignumber.equal(bn(50));
+    });
+  });
+});
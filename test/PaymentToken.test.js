@@ -2,7 +2,7 @@ const truffleContract = require('truffle-contract');
 
 const { executeSafeTx } = require('./helpers/executeSafeTx');
 const { estimateBaseGas, estimateTxGas } = require('./helpers/estimateGas');
-const { BigNumber, ZERO_ADDRESS } = require('./helpers/constants');
+const { BigNumber, CHAIN_ID, ZERO_ADDRESS } = require('./helpers/constants');
 const { bn, convertToBaseUnit } = require('./helpers/math');
 
 const Hub = artifacts.require('MockHub');
@@ -29,7 +29,7 @@ contract('Token payments', ([_, owner, recipient, anotherAccount, systemOwner])
 
   beforeEach(async () => {
     hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
-      { from: systemOwner, gas: 0xfffffffffff });
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
 
     safe = await GnosisSafe.new({ from: owner });
     await safe.setup([owner], 1, ZERO_ADDRESS, '0x', ZERO_ADDRESS, 0, ZERO_ADDRESS, { from: systemOwner });
@@ -48,7 +48,7 @@ contract('Token payments', ([_, owner, recipient, anotherAccount, systemOwner])
 
   describe('user can use their token as payment token', () => {
     const amount = convertToBaseUnit(50);
-    const gasCosts = bn(35123);
+    const gasCosts = bn(37600);
 
     it('should transfer tokens', async () => {
       const to = token.address;
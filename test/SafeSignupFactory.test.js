@@ -0,0 +1,164 @@
+const truffleContract = require('truffle-contract');
+const { assertRevert } = require('./helpers/assertRevert');
+const { executeSafeTx } = require('./helpers/executeSafeTx');
+const expectEvent = require('./helpers/expectEvent');
+const safeArtifacts = require('@circles/safe-contracts/build/contracts/GnosisSafe.json');
+const proxyArtifacts = require('@circles/safe-contracts/build/contracts/ProxyFactory.json');
+const { BigNumber, CHAIN_ID, ZERO_ADDRESS } = require('./helpers/constants');
+const { bn } = require('./helpers/math');
+const { computeSafeAddress, predictSafeAddress } = require('../src/safeSignup');
+
+require('chai')
+  .use(require('chai-bn')(BigNumber))
+  .should();
+
+const Hub = artifacts.require('MockHub');
+const Token = artifacts.require('Token');
+const SafeSignupFactory = artifacts.require('SafeSignupFactory');
+const GnosisSafe = truffleContract(safeArtifacts);
+const ProxyFactory = truffleContract(proxyArtifacts);
+GnosisSafe.setProvider(web3.currentProvider);
+ProxyFactory.setProvider(web3.currentProvider);
+
+// HubI.Action
+const SIGNUP = 0;
+
+contract('SafeSignupFactory', ([_, systemOwner, attacker, safeOwner, secondOwner, normalUser]) => { // eslint-disable-line no-unused-vars
+  let hub = null;
+  let masterCopy = null;
+  let proxyFactory = null;
+  let factory = null;
+
+  const inflation = bn(275);
+  const period = bn(7885000000);
+  const symbol = 'CRC';
+  const initialPayout = bn(100);
+  const tokenName = 'testToken';
+
+  const gas = 6721975;
+
+  const safeConfig = {
+    owners: [safeOwner], threshold: 1, name: tokenName, saltNonce: 1,
+  };
+
+  const deploySafe = ({
+    owners, threshold, name, saltNonce,
+  } = safeConfig, from = safeOwner) => factory
+    .deploySafe(owners, threshold, name, saltNonce, { from, gas });
+
+  beforeEach(async () => {
+    hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+    masterCopy = await GnosisSafe.new({ from: systemOwner });
+    proxyFactory = await ProxyFactory.new({ from: systemOwner });
+    factory = await SafeSignupFactory.new(hub.address, proxyFactory.address, masterCopy.address,
+      { from: systemOwner });
+  });
+
+  describe('deploying a safe', async () => {
+    let safe = null;
+    let logs = null;
+
+    beforeEach(async () => {
+      ({ logs } = await deploySafe());
+      safe = await GnosisSafe.at(expectEvent.inLogs(logs, 'SafeSignup').args.safe);
+    });
+
+    it('sets up the owners', async () => {
+      (await safe.getOwners()).should.be.deep.equal([safeOwner]);
+      (await safe.getThreshold()).should.be.bignumber.equal(bn(1));
+    });
+
+    it('signs the safe up', async () => {
+      const token = await Token.at(await hub.userToToken(safe.address));
+      (await token.owner()).should.be.equal(safe.address);
+      (await token.name()).should.be.equal(tokenName);
+      (await token.balanceOf(safe.address)).should.be.bignumber.equal(initialPayout);
+    });
+
+    it('emits the token', async () => {
+      expectEvent.inLogs(logs, 'SafeSignup', { token: await hub.userToToken(safe.address) });
+    });
+
+    it('leaves the safe to its owners', async () => {
+      const txParams = {
+        to: hub.address,
+        data: await hub.contract.methods.trust(normalUser, 50).encodeABI(),
+      };
+      await executeSafeTx(safe, txParams, safeOwner, gas, safeOwner, web3);
+      (await hub.limits(safe.address, normalUser)).should.be.bignumber.equal(bn(50));
+    });
+
+    it('does not sign the factory up', async () => {
+      (await hub.userToToken(factory.address)).should.be.equal(ZERO_ADDRESS);
+    });
+
+    it('throws for the same owners, name and nonce again', async () => {
+      await assertRevert(deploySafe(), 'Safe already exists');
+    });
+
+    it('can deploy another with a different nonce', async () => {
+      const tx = await deploySafe(Object.assign({}, safeConfig, { saltNonce: 2 }));
+      expectEvent.inLogs(tx.logs, 'SafeSignup').args.safe.should.not.be.equal(safe.address);
+    });
+  });
+
+  describe('predicting the address', async () => {
+    it('is where the safe is deployed', async () => {
+      const predicted = await predictSafeAddress(factory, safeConfig);
+      const { logs } = await deploySafe();
+      expectEvent.inLogs(logs, 'SafeSignup', { safe: predicted });
+    });
+
+    it('does not depend on who sends the transaction', async () => {
+      const predicted = await predictSafeAddress(factory, safeConfig);
+      const { logs } = await deploySafe(safeConfig, normalUser);
+      expectEvent.inLogs(logs, 'SafeSignup', { safe: predicted });
+    });
+
+    it('works for several owners', async () => {
+      const config = Object.assign({}, safeConfig, {
+        owners: [safeOwner, secondOwner], threshold: 2,
+      });
+      const predicted = await predictSafeAddress(factory, config);
+      const { logs } = await deploySafe(config);
+      expectEvent.inLogs(logs, 'SafeSignup', { safe: predicted });
+    });
+
+    it('changes with the owners and the nonce', async () => {
+      const predicted = await predictSafeAddress(factory, safeConfig);
+      (await predictSafeAddress(factory, Object.assign({}, safeConfig, { saltNonce: 2 })))
+        .should.not.be.equal(predicted);
+      (await predictSafeAddress(factory, Object.assign({}, safeConfig, { owners: [normalUser] })))
+        .should.not.be.equal(predicted);
+    });
+
+    it('can be worked out offline', async () => {
+      computeSafeAddress({
+        proxyFactory: proxyFactory.address,
+        masterCopy: masterCopy.address,
+        proxyCreationCode: await proxyFactory.proxyCreationCode(),
+        initializer: await factory.initializer(safeConfig.owners, safeConfig.threshold,
+          safeConfig.name),
+        saltNonce: safeConfig.saltNonce,
+      }).should.be.equal(await predictSafeAddress(factory, safeConfig));
+    });
+  });
+
+  describe('when the signup fails', async () => {
+    it('deploys nothing', async () => {
+      const predicted = await predictSafeAddress(factory, safeConfig);
+      await hub.pause(SIGNUP, { from: systemOwner });
+      await assertRevert(deploySafe());
+      (await web3.eth.getCode(predicted)).should.be.equal('0x');
+    });
+  });
+
+  describe('calling signup on the factory', async () => {
+    it('throws', async () => {
+      await assertRevert(factory.signup(hub.address, tokenName, { from: attacker }),
+        'Only callable from a Safe\'s setup');
+      (await hub.userToToken(factory.address)).should.be.equal(ZERO_ADDRESS);
+    });
+  });
+});
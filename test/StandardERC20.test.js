@@ -4,7 +4,7 @@ const truffleContract = require('truffle-contract');
 const { assertRevert } = require('./helpers/assertRevert');
 const expectEvent = require('./helpers/expectEvent');
 const { executeSafeTx } = require('./helpers/executeSafeTx');
-const { BigNumber, ZERO_ADDRESS, decimals } = require('./helpers/constants');
+const { BigNumber, CHAIN_ID, ZERO_ADDRESS, decimals } = require('./helpers/constants');
 const { bn, convertToBaseUnit } = require('./helpers/math');
 
 const Hub = artifacts.require('MockHub');
@@ -31,7 +31,7 @@ contract('ERC20', ([_, owner, recipient, anotherAccount, systemOwner]) => { // e
 
   beforeEach(async () => {
     hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
-      { from: systemOwner, gas: 0xfffffffffff });
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
   });
 
   describe('total supply', () => {
@@ -0,0 +1,85 @@
+const { BigNumber, CHAIN_ID } = require('./helpers/constants');
+const { bn } = require('./helpers/math');
+const { increase } = require('./helpers/increaseTime');
+const { createIndexer } = require('../src/indexer');
+const { readStats, replayStats, checkStats } = require('../src/stats');
+
+require('chai')
+  .use(require('chai-bn')(BigNumber))
+  .should();
+
+const Hub = artifacts.require('MockHub');
+const Token = artifacts.require('Token');
+
+contract('Stats', ([_, systemOwner, a, b, c]) => { // eslint-disable-line no-unused-vars
+  let hub = null;
+  let fromBlock = null;
+
+  const inflation = bn(275);
+  const period = bn(7885000000);
+  const symbol = 'CRC';
+  const initialPayout = bn(100);
+  const tokenName = 'testToken';
+
+  const gas = 6721975;
+
+  const sync = async (start = fromBlock) => {
+    const indexer = createIndexer({
+      web3, hub, Token, fromBlock: start,
+    });
+    await indexer.sync();
+    return indexer;
+  };
+
+  beforeEach(async () => {
+    hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+    fromBlock = (await web3.eth.getTransaction(hub.transactionHash)).blockNumber;
+    await hub.signup(tokenName, { from: a });
+    await hub.signup(tokenName, { from: b });
+    await hub.trust(a, 50, { from: b });
+    await increase(1000);
+    await hub.updateMany([a, b], { gas });
+  });
+
+  it('reads the hub\'s counters', async () => {
+    const stats = await readStats(hub);
+    stats.userCount.should.be.bignumber.equal(bn(2));
+    stats.trustEdgeCount.should.be.bignumber.equal(bn(3));
+    stats.totalMinted.should.be.bignumber.equal(await hub.totalMinted());
+  });
+
+  it('reads them as of an earlier block', async () => {
+    const block = await web3.eth.getBlockNumber();
+    await hub.signup(tokenName, { from: c });
+    (await readStats(hub, block)).userCount.should.be.bignumber.equal(bn(2));
+  });
+
+  it('works out the same numbers from the events', async () => {
+    const replayed = replayStats(await sync());
+    const stats = await readStats(hub);
+    replayed.userCount.should.be.bignumber.equal(stats.userCount);
+    replayed.trustEdgeCount.should.be.bignumber.equal(stats.trustEdgeCount);
+    replayed.totalMinted.should.be.bignumber.equal(stats.totalMinted);
+  });
+
+  it('finds no mismatches', async () => {
+    await hub.trust(a, 0, { from: b });
+    await hub.migrate(c, [], [], { from: a });
+    const { mismatches } = await checkStats(hub, await sync());
+    mismatches.should.have.lengthOf(0);
+  });
+
+  it('compares at the block the indexer synced to', async () => {
+    const indexer = await sync();
+    await hub.signup(tokenName, { from: c });
+    const { onChain, mismatches } = await checkStats(hub, indexer);
+    onChain.userCount.should.be.bignumber.equal(bn(2));
+    mismatches.should.have.lengthOf(0);
+  });
+
+  it('finds mismatches when the replay missed events', async () => {
+    const { mismatches } = await checkStats(hub, await sync(fromBlock + 3));
+    mismatches.should.have.members(['userCount', 'trustEdgeCount', 'totalMinted']);
+  });
+});
@@ -0,0 +1,129 @@
+const { BigNumber, CHAIN_ID, ZERO_ADDRESS } = require('./helpers/constants');
+const { bn, convertToBaseUnit, ubiPayout } = require('./helpers/math');
+const { increase } = require('./helpers/increaseTime');
+const { getTimestampFromTx } = require('./helpers/getTimestamp');
+
+const Hub = artifacts.require('MockHub');
+const Token = artifacts.require('Token');
+
+require('chai')
+  .use(require('chai-bn')(BigNumber))
+  .should();
+
+const inflation = bn(107);
+const divisor = bn(100);
+const period = bn(86400);
+const symbol = 'CRC';
+const tokenName = 'MyCoin';
+const initialPayout = convertToBaseUnit(100);
+// large enough that the hub's fixed point rounding shows in every period
+const initialIssuance = bn('1157407407407407');
+
+const gas = 6721975;
+
+const periods = n => period.mul(bn(n)).toNumber();
+
+contract('Token - look', ([_, owner, otherOwner, thirdOwner, systemOwner]) => { // eslint-disable-line no-unused-vars
+  let hub = null;
+  let token = null;
+  let other = null;
+
+  const signup = async (from) => {
+    const { logs } = await hub.signup(tokenName, { from });
+    return Token.at(logs[1].args.token);
+  };
+
+  // what the js payout makes of the token's state now, at the time of the
+  // update that follows
+  const snapshot = async () => ({
+    rate: await token.currentIssuance(),
+    clock: await token.lastTouched(),
+    offset: await token.inflationOffset(),
+    hubDeploy: await token.hubDeploy(),
+  });
+
+  // updates the token, and returns what it minted and what ubiPayout
+  // expected for the block the update was in
+  const updateAndCompare = async () => {
+    const {
+      rate, clock, offset, hubDeploy,
+    } = await snapshot();
+    const tx = await token.update({ gas });
+    const time = await getTimestampFromTx(tx.tx, web3);
+    const mint = tx.logs.find(log => log.event === 'Transfer' && log.args.from === ZERO_ADDRESS);
+    const goal = ubiPayout(rate, clock, time, offset, inflation, divisor, period, hubDeploy,
+      initialIssuance);
+    return { minted: mint.args.value, goal, tx };
+  };
+
+  beforeEach(async () => {
+    hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialIssuance,
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+    token = await signup(owner);
+    other = await signup(otherOwner);
+  });
+
+  describe('pays out exactly what ubiPayout does', () => {
+    [
+      { name: 'within the first period', elapsed: 10 },
+      { name: 'at the end of the first period', elapsed: periods(1) },
+      { name: 'after 1 period and a bit', elapsed: periods(1) + 500 },
+      { name: 'after 12 periods and a bit', elapsed: periods(12) + 500 },
+      { name: 'after 40 periods', elapsed: periods(40) },
+    ].forEach(({ name, elapsed }) => {
+      it(name, async () => {
+        await increase(elapsed);
+        const { minted, goal } = await updateAndCompare();
+        minted.should.be.bignumber.equal(goal);
+      });
+    });
+
+    it('when other tokens have checkpointed some of the periods', async () => {
+      await increase(periods(5) + 200);
+      await other.update({ gas });
+      await increase(periods(7) + 300);
+      await other.update({ gas });
+      await increase(periods(3));
+      const { minted, goal } = await updateAndCompare();
+      minted.should.be.bignumber.equal(goal);
+    });
+
+    it('when every period has been checkpointed', async () => {
+      await increase(periods(9) + 700);
+      await other.update({ gas });
+      const { minted, goal } = await updateAndCompare();
+      minted.should.be.bignumber.equal(goal);
+    });
+
+    it('when last touched in a later period', async () => {
+      await increase(periods(2) + 100);
+      await updateAndCompare();
+      await increase(periods(7) + 300);
+      const { minted, goal } = await updateAndCompare();
+      minted.should.be.bignumber.equal(goal);
+    });
+
+    it('when updated every period', async () => {
+      for (let i = 0; i < 4; i += 1) {
+        await increase(periods(1) + 50); // eslint-disable-line no-await-in-loop
+        const { minted, goal } = await updateAndCompare(); // eslint-disable-line no-await-in-loop
+        minted.should.be.bignumber.equal(goal);
+      }
+    });
+  });
+
+  describe('gas', () => {
+    it('does not grow with the periods a token was left untouched', async () => {
+      await increase(periods(1));
+      await other.update({ gas });
+      const { tx: soon } = await updateAndCompare();
+      token = await signup(thirdOwner);
+      await increase(periods(40));
+      await other.update({ gas });
+      const { tx: late } = await updateAndCompare();
+      // working out each of the 40 periods would cost several hundred thousand
+      bn(late.receipt.gasUsed).sub(bn(soon.receipt.gasUsed)).abs()
+        .should.be.bignumber.below(bn(20000));
+    });
+  });
+});
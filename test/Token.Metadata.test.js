@@ -0,0 +1,83 @@
+const { assertRevert } = require('./helpers/assertRevert');
+const expectEvent = require('./helpers/expectEvent');
+const { BigNumber, CHAIN_ID } = require('./helpers/constants');
+const { bn } = require('./helpers/math');
+
+require('chai')
+  .use(require('chai-bn')(BigNumber))
+  .should();
+
+const Hub = artifacts.require('MockHub');
+const Token = artifacts.require('Token');
+
+const ZERO_HASH = `0x${'0'.repeat(64)}`;
+
+contract('Token - metadata', ([_, systemOwner, owner, attacker, newOwner]) => { // eslint-disable-line no-unused-vars
+  let hub = null;
+  let token = null;
+
+  const inflation = bn(275);
+  const period = bn(7885000000);
+  const symbol = 'CRC';
+  const initialPayout = bn(100);
+  const tokenName = 'testToken';
+
+  const profile = '{"name":"Alice","avatar":"ipfs://QmAvatar"}';
+  const uri = 'ipfs://QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+  const hash = web3.utils.keccak256(profile);
+
+  beforeEach(async () => {
+    hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+    await hub.signup(tokenName, { from: owner });
+    token = await Token.at(await hub.userToToken(owner));
+  });
+
+  it('is empty after signup', async () => {
+    (await token.metadataURI()).should.be.equal('');
+    (await token.metadataHash()).should.be.equal(ZERO_HASH);
+  });
+
+  it('can be set by the owner', async () => {
+    await token.updateMetadata(uri, hash, { from: owner });
+    (await token.metadataURI()).should.be.equal(uri);
+    (await token.metadataHash()).should.be.equal(hash);
+  });
+
+  it('emits an event', async () => {
+    const { logs } = await token.updateMetadata(uri, hash, { from: owner });
+    expectEvent.inLogs(logs, 'MetadataUpdated', { owner, uri, hash });
+  });
+
+  it('can be changed again', async () => {
+    await token.updateMetadata(uri, hash, { from: owner });
+    await token.updateMetadata('https://example.org/alice.json', ZERO_HASH, { from: owner });
+    (await token.metadataURI()).should.be.equal('https://example.org/alice.json');
+    (await token.metadataHash()).should.be.equal(ZERO_HASH);
+  });
+
+  it('can not be set by attacker', async () => {
+    await assertRevert(token.updateMetadata(uri, hash, { from: attacker }));
+  });
+
+  it('can be read from the hub by user', async () => {
+    await token.updateMetadata(uri, hash, { from: owner });
+    const metadata = await hub.metadata(owner);
+    metadata.uri.should.be.equal(uri);
+    metadata.hash.should.be.equal(hash);
+  });
+
+  it('is empty in the hub for users without a token', async () => {
+    const metadata = await hub.metadata(attacker);
+    metadata.uri.should.be.equal('');
+    metadata.hash.should.be.equal(ZERO_HASH);
+  });
+
+  it('moves with the token when its owner migrates', async () => {
+    await token.updateMetadata(uri, hash, { from: owner });
+    await hub.migrate(newOwner, [], [], { from: owner });
+    (await hub.metadata(newOwner)).uri.should.be.equal(uri);
+    await token.updateMetadata('', ZERO_HASH, { from: newOwner });
+    await assertRevert(token.updateMetadata(uri, hash, { from: owner }));
+  });
+});
@@ -0,0 +1,123 @@
+const { assertRevert } = require('./helpers/assertRevert');
+const expectEvent = require('./helpers/expectEvent');
+const { BigNumber, CHAIN_ID } = require('./helpers/constants');
+const { bn } = require('./helpers/math');
+const { formatPermitData, signPermit } = require('./helpers/signPermit');
+const { signTypedData } = require('./helpers/signTypedData');
+const { splitSignature } = require('./helpers/hubTypedData');
+
+require('chai')
+  .use(require('chai-bn')(BigNumber))
+  .should();
+
+const Hub = artifacts.require('MockHub');
+const Token = artifacts.require('Token');
+
+contract('Token - permit', ([_, systemOwner, owner, spender, relayer, recipient]) => { // eslint-disable-line no-unused-vars
+  let hub = null;
+  let token = null;
+  let deadline = null;
+
+  const inflation = bn(275);
+  const period = bn(7885000000);
+  const symbol = 'CRC';
+  const initialPayout = bn(100);
+  const tokenName = 'testToken';
+  const value = bn(40);
+
+  beforeEach(async () => {
+    hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+    await hub.signup(tokenName, { from: owner });
+    token = await Token.at(await hub.userToToken(owner));
+    deadline = (await web3.eth.getBlock('latest')).timestamp + 3600;
+  });
+
+  describe('permit', async () => {
+    it('approves the spender', async () => {
+      const { v, r, s } = await signPermit(token, owner, spender, value, deadline, web3);
+      const { logs } = await token.permit(owner, spender, value, deadline, v, r, s,
+        { from: relayer });
+      expectEvent.inLogs(logs, 'Approval', { owner, spender });
+      (await token.allowance(owner, spender)).should.be.bignumber.equal(value);
+    });
+
+    it('lets the spender transfer in a single transaction', async () => {
+      const { v, r, s } = await signPermit(token, owner, spender, value, deadline, web3);
+      await token.permit(owner, spender, value, deadline, v, r, s, { from: spender });
+      await token.transferFrom(owner, recipient, value, { from: spender });
+      (await token.balanceOf(recipient)).should.be.bignumber.equal(value);
+      (await token.allowance(owner, spender)).should.be.bignumber.equal(bn(0));
+    });
+
+    it('uses up the nonce', async () => {
+      const { v, r, s } = await signPermit(token, owner, spender, value, deadline, web3);
+      await token.permit(owner, spender, value, deadline, v, r, s, { from: relayer });
+      (await token.nonces(owner)).should.be.bignumber.equal(bn(1));
+    });
+
+    it('throws when the signature is submitted again', async () => {
+      const { v, r, s } = await signPermit(token, owner, spender, value, deadline, web3);
+      await token.permit(owner, spender, value, deadline, v, r, s, { from: relayer });
+      await token.transferFrom(owner, recipient, value, { from: spender });
+      await assertRevert(token.permit(owner, spender, value, deadline, v, r, s,
+        { from: relayer }));
+    });
+
+    it('throws when the value is not the one signed', async () => {
+      const { v, r, s } = await signPermit(token, owner, spender, value, deadline, web3);
+      await assertRevert(token.permit(owner, spender, initialPayout, deadline, v, r, s,
+        { from: relayer }));
+    });
+
+    it('throws when someone else signed', async () => {
+      const { v, r, s } = await signPermit(token, spender, spender, value, deadline, web3);
+      await assertRevert(token.permit(owner, spender, value, deadline, v, r, s,
+        { from: relayer }));
+    });
+
+    it('throws after the deadline', async () => {
+      deadline = (await web3.eth.getBlock('latest')).timestamp - 1;
+      const { v, r, s } = await signPermit(token, owner, spender, value, deadline, web3);
+      await assertRevert(token.permit(owner, spender, value, deadline, v, r, s,
+        { from: relayer }));
+    });
+
+    it('throws on another token', async () => {
+      await hub.signup(tokenName, { from: recipient });
+      const other = await Token.at(await hub.userToToken(recipient));
+      const { v, r, s } = await signPermit(token, owner, spender, value, deadline, web3);
+      await assertRevert(other.permit(owner, spender, value, deadline, v, r, s,
+        { from: relayer }));
+    });
+
+    it('throws when signed for another chain', async () => {
+      const data = formatPermitData(owner, spender, value.toString(), '0', deadline.toString(),
+        tokenName, token.address, CHAIN_ID + 1);
+      const { v, r, s } = splitSignature(await signTypedData(owner, data, web3));
+      await assertRevert(token.permit(owner, spender, value, deadline, v, r, s,
+        { from: relayer }), 'Invalid signature');
+    });
+  });
+
+  describe('allowances', async () => {
+    it('approve still works', async () => {
+      await token.approve(spender, value, { from: owner });
+      (await token.allowance(owner, spender)).should.be.bignumber.equal(value);
+    });
+
+    it('are shared with permit', async () => {
+      await token.approve(spender, value, { from: owner });
+      const { v, r, s } = await signPermit(token, owner, spender, bn(10), deadline, web3);
+      await token.permit(owner, spender, bn(10), deadline, v, r, s, { from: relayer });
+      await token.increaseAllowance(spender, bn(5), { from: owner });
+      (await token.allowance(owner, spender)).should.be.bignumber.equal(bn(15));
+    });
+
+    it('transferFrom cannot go over them', async () => {
+      const { v, r, s } = await signPermit(token, owner, spender, value, deadline, web3);
+      await token.permit(owner, spender, value, deadline, v, r, s, { from: relayer });
+      await assertRevert(token.transferFrom(owner, recipient, value.add(bn(1)), { from: spender }));
+    });
+  });
+});
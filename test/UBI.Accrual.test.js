@@ -0,0 +1,159 @@
+const { assertRevert } = require('./helpers/assertRevert');
+const expectEvent = require('./helpers/expectEvent');
+const { BigNumber, CHAIN_ID, ZERO_ADDRESS } = require('./helpers/constants');
+const { bn, convertToBaseUnit, ubiPayout } = require('./helpers/math');
+const { increase } = require('./helpers/increaseTime');
+const { getTimestampFromTx } = require('./helpers/getTimestamp');
+
+const Hub = artifacts.require('MockHub');
+const Token = artifacts.require('Token');
+
+require('chai')
+  .use(require('chai-bn')(BigNumber))
+  .should();
+
+// Hub.Parameter
+const MAX_ACCRUAL = 3;
+
+const inflation = bn(107);
+const divisor = bn(100);
+const period = bn(86400);
+const symbol = 'CRC';
+const tokenName = 'MyCoin';
+const initialPayout = convertToBaseUnit(100);
+const initialIssuance = bn('1157407407407407');
+
+const gas = 6721975;
+
+const periods = n => period.mul(bn(n)).toNumber();
+
+contract('UBI - accrual window', ([_, owner, attacker, systemOwner]) => { // eslint-disable-line no-unused-vars
+  let hub = null;
+  let token = null;
+
+  const setMaxAccrual = async (value) => {
+    await hub.proposeParameterChange(MAX_ACCRUAL, value, { from: systemOwner });
+    await increase((await hub.parameterDelay()).toNumber());
+    return hub.executeParameterChange(MAX_ACCRUAL, { from: systemOwner });
+  };
+
+  // updates the token, and returns what it minted and forfeited, and what
+  // ubiPayout expects for all of the time since it was last touched, and for
+  // the window only
+  const updateAndCompare = async () => {
+    const rate = await token.currentIssuance();
+    const clock = await token.lastTouched();
+    const offset = await token.inflationOffset();
+    const hubDeploy = await token.hubDeploy();
+    const window = await hub.maxAccrual();
+    const tx = await token.update({ gas });
+    const time = bn(await getTimestampFromTx(tx.tx, web3));
+    const full = ubiPayout(rate, clock, time, offset, inflation, divisor, period, hubDeploy,
+      initialIssuance);
+    const start = time.sub(window);
+    const p = start.sub(hubDeploy).div(period);
+    const windowed = ubiPayout(await hub.issuanceStep(p), start, time,
+      period.mul(p.add(bn(1))).add(hubDeploy).sub(start), inflation, divisor, period, hubDeploy,
+      initialIssuance);
+    const mint = tx.logs.find(log => log.event === 'Transfer' && log.args.from === ZERO_ADDRESS);
+    return {
+      tx, minted: mint.args.value, full, windowed,
+    };
+  };
+
+  beforeEach(async () => {
+    hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialIssuance,
+      CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+  });
+
+  describe('setting the window', () => {
+    it('has no limit by default', async () => {
+      (await hub.maxAccrual()).should.be.bignumber.equal(bn(0));
+    });
+
+    it('is a parameter change', async () => {
+      const { logs } = await setMaxAccrual(periods(3));
+      expectEvent.inLogs(logs, 'ParameterChanged')
+        .args.parameter.should.be.bignumber.equal(bn(MAX_ACCRUAL));
+      (await hub.maxAccrual()).should.be.bignumber.equal(bn(periods(3)));
+    });
+
+    it('can not be set by attacker', async () => {
+      await assertRevert(hub.proposeParameterChange(MAX_ACCRUAL, periods(3), { from: attacker }));
+    });
+
+    it('can not be set before the delay', async () => {
+      await hub.proposeParameterChange(MAX_ACCRUAL, periods(3), { from: systemOwner });
+      await assertRevert(hub.executeParameterChange(MAX_ACCRUAL, { from: systemOwner }),
+        'Change is still timelocked');
+    });
+  });
+
+  describe('with a window', () => {
+    beforeEach(async () => {
+      await setMaxAccrual(periods(3));
+      const { logs } = await hub.signup(tokenName, { from: owner });
+      token = await Token.at(logs[1].args.token);
+    });
+
+    it('pays out everything inside the window', async () => {
+      await increase(periods(2));
+      const { minted, full, tx } = await updateAndCompare();
+      minted.should.be.bignumber.equal(full);
+      tx.logs.filter(log => log.event === 'Forfeited').should.have.lengthOf(0);
+    });
+
+    it('pays out only the window after longer', async () => {
+      await increase(periods(10) + 500);
+      const { minted, windowed } = await updateAndCompare();
+      minted.should.be.bignumber.equal(windowed);
+    });
+
+    it('emits what was forfeited', async () => {
+      await increase(periods(10) + 500);
+      const { full, windowed, tx } = await updateAndCompare();
+      expectEvent.inLogs(tx.logs, 'Forfeited', { owner })
+        .args.amount.should.be.bignumber.equal(full.sub(windowed));
+    });
+
+    it('shows nothing forfeited inside the window', async () => {
+      await increase(periods(2));
+      (await token.forfeited()).should.be.bignumber.equal(bn(0));
+    });
+
+    it('shows what would be forfeited', async () => {
+      await increase(periods(10));
+      (await token.forfeited()).should.be.bignumber.above(bn(0));
+      await token.update({ gas });
+      (await token.forfeited()).should.be.bignumber.equal(bn(0));
+    });
+
+    it('starts the payout at the start of the window', async () => {
+      await increase(periods(10));
+      const time = await token.time();
+      (await token.accrualStart()).should.be.bignumber.equal(time.sub(bn(periods(3))));
+    });
+
+    it('pays out in full again from the update on', async () => {
+      await increase(periods(10) + 500);
+      await token.update({ gas });
+      await increase(periods(1) + 200);
+      const { minted, full } = await updateAndCompare();
+      minted.should.be.bignumber.equal(full);
+    });
+  });
+
+  describe('with a window shorter than a period', () => {
+    beforeEach(async () => {
+      await setMaxAccrual(1000);
+      const { logs } = await hub.signup(tokenName, { from: owner });
+      token = await Token.at(logs[1].args.token);
+    });
+
+    it('pays out the window at the rate of the period', async () => {
+      await increase(5000);
+      const { minted } = await updateAndCompare();
+      minted.should.be.bignumber.equal(bn(1000).mul(await token.currentIssuance()));
+    });
+  });
+});
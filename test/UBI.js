@@ -1,8 +1,9 @@
-const { BigNumber } = require('./helpers/constants');
+const { BigNumber, CHAIN_ID } = require('./helpers/constants');
 const { bn, convertToBaseUnit, ubiPayout, near, inflate } = require('./helpers/math');
 const { assertRevert } = require('./helpers/assertRevert');
 const { increase } = require('./helpers/increaseTime');
 const { getTimestampFromTx } = require('./helpers/getTimestamp');
+const expectEvent = require('./helpers/expectEvent');
 
 const Hub = artifacts.require('MockHub');
 const Token = artifacts.require('Token');
@@ -35,7 +36,7 @@ contract('UBI', ([_, owner, recipient, attacker, systemOwner]) => { // eslint-di
     beforeEach(async () => {
       initialPayout = convertToBaseUnit(100);
       hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
-        { from: systemOwner, gas: 0xfffffffffff });
+        CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
     });
 
     it('returns the correct issuance at deployment', async () => {
@@ -65,7 +66,7 @@ contract('UBI', ([_, owner, recipient, attacker, systemOwner]) => { // eslint-di
 
     beforeEach(async () => {
       hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
-        { from: systemOwner, gas: 0xfffffffffff });
+        CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
       const signup = await hub.signup(tokenName, { from: owner });
       token = await Token.at(signup.logs[1].args.token);
       deployTime = await getTimestampFromTx(signup.logs[0].transactionHash, web3);
@@ -220,7 +221,7 @@ contract('UBI', ([_, owner, recipient, attacker, systemOwner]) => { // eslint-di
       initialPayout = convertToBaseUnit(100);
       startingIssuance = bn(80);
       hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, startingIssuance,
-        { from: systemOwner, gas: 0xfffffffffff });
+        CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
       const signup = await hub.signup(tokenName, { from: owner, gas: 6721975 });
       token = await Token.at(signup.logs[1].args.token);
       deployTime = await getTimestampFromTx(signup.logs[0].transactionHash, web3);
@@ -357,4 +358,52 @@ contract('UBI', ([_, owner, recipient, attacker, systemOwner]) => { // eslint-di
       (lastTouched).should.be.bignumber.equal(bn(deployTime));
     });
   });
+
+  describe('batch updates', () => {
+    let recipientToken;
+
+    beforeEach(async () => {
+      hub = await Hub.new(systemOwner, inflation, period, symbol, initialPayout, initialPayout,
+        CHAIN_ID, { from: systemOwner, gas: 0xfffffffffff });
+      await hub.signup(tokenName, { from: owner });
+      await hub.signup(tokenName, { from: recipient });
+      token = await Token.at(await hub.userToToken(owner));
+      recipientToken = await Token.at(await hub.userToToken(recipient));
+      await increase(period.toNumber());
+    });
+
+    it('updates the balance of every user', async () => {
+      await hub.updateMany([owner, recipient], { from: attacker });
+      (await token.balanceOf(owner)).should.be.bignumber.above(initialPayout);
+      (await recipientToken.balanceOf(recipient)).should.be.bignumber.above(initialPayout);
+    });
+
+    it('does not change the balance of the caller', async () => {
+      await hub.updateMany([owner, recipient], { from: attacker });
+      (await token.balanceOf(attacker)).should.be.bignumber.equal(bn(0));
+    });
+
+    it('skips users without a token', async () => {
+      const { logs } = await hub.updateMany([owner, attacker, recipient], { from: attacker });
+      const event = expectEvent.inLogs(logs, 'UpdateMany', { caller: attacker });
+      event.args.updated.should.be.bignumber.equal(bn(2));
+      event.args.skipped.should.be.bignumber.equal(bn(1));
+    });
+
+    it('skips tokens with nothing to pay out', async () => {
+      const { logs } = await hub.updateMany([owner, owner], { from: attacker });
+      const event = expectEvent.inLogs(logs, 'UpdateMany');
+      event.args.updated.should.be.bignumber.equal(bn(1));
+      event.args.skipped.should.be.bignumber.equal(bn(1));
+    });
+
+    it('emits the total payout', async () => {
+      const { logs } = await hub.updateMany([owner, recipient], { from: attacker });
+      const event = expectEvent.inLogs(logs, 'UpdateMany');
+      const minted = (await token.balanceOf(owner))
+        .add(await recipientToken.balanceOf(recipient))
+        .sub(initialPayout.mul(bn(2)));
+      event.args.payout.should.be.bignumber.equal(minted);
+    });
+  });
 });
@@ -3,11 +3,13 @@
 const should = require('chai')
   .should();
 
-const assertRevert = async (promise) => {
+// given a reason, also checks the revert message is the expected one
+const assertRevert = async (promise, reason) => {
   try {
     await promise;
   } catch (error) {
     error.message.should.include('revert', `Expected "revert", got ${error} instead`);
+    if (reason) error.message.should.include(reason);
     return;
   }
   should.fail('Expected revert not received');
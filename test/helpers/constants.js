@@ -1,11 +1,14 @@
-const web3 = require('web3'); // eslint-disable-line import/no-extraneous-dependencies
+const web3 = require('web3');
 
 const BigNumber = web3.utils.BN;
 const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
 const decimals = new BigNumber(18);
+// the chain id test hubs are deployed with, for their EIP-712 domains
+const CHAIN_ID = 1337;
 
 module.exports = {
   ZERO_ADDRESS,
   decimals,
   BigNumber,
+  CHAIN_ID,
 };
@@ -0,0 +1,128 @@
+// EIP-712 messages for the hub's signupFor, trustBySig and transferThroughBySig.
+// eth_signTypedData in ganache can't encode arrays yet, so these are hashed
+// here and signed with the signer's private key.
+const ethUtil = require('ethereumjs-util');
+
+const domain = (verifyingContract, chainId) => ({
+  name: 'Circles',
+  version: '1',
+  chainId,
+  verifyingContract,
+});
+
+const EIP712Domain = [
+  { type: 'string', name: 'name' },
+  { type: 'string', name: 'version' },
+  { type: 'uint256', name: 'chainId' },
+  { type: 'address', name: 'verifyingContract' },
+];
+
+const formatSignupData = (user, name, nonce, deadline, verifyingContract, chainId) => ({
+  types: {
+    EIP712Domain,
+    Signup: [
+      { type: 'address', name: 'user' },
+      { type: 'string', name: 'name' },
+      { type: 'uint256', name: 'nonce' },
+      { type: 'uint256', name: 'deadline' },
+    ],
+  },
+  domain: domain(verifyingContract, chainId),
+  primaryType: 'Signup',
+  message: {
+    user, name, nonce, deadline,
+  },
+});
+
+const formatTrustData = (canSendTo, user, limit, nonce, deadline, verifyingContract,
+  chainId) => ({
+  types: {
+    EIP712Domain,
+    Trust: [
+      { type: 'address', name: 'canSendTo' },
+      { type: 'address', name: 'user' },
+      { type: 'uint256', name: 'limit' },
+      { type: 'uint256', name: 'nonce' },
+      { type: 'uint256', name: 'deadline' },
+    ],
+  },
+  domain: domain(verifyingContract, chainId),
+  primaryType: 'Trust',
+  message: {
+    canSendTo, user, limit, nonce, deadline,
+  },
+});
+
+const formatTransferThroughData = (
+  from,
+  tokenOwners,
+  srcs,
+  dests,
+  wads,
+  nonce,
+  deadline,
+  verifyingContract,
+  chainId) => ({
+  types: {
+    EIP712Domain,
+    TransferThrough: [
+      { type: 'address', name: 'from' },
+      { type: 'address[]', name: 'tokenOwners' },
+      { type: 'address[]', name: 'srcs' },
+      { type: 'address[]', name: 'dests' },
+      { type: 'uint256[]', name: 'wads' },
+      { type: 'uint256', name: 'nonce' },
+      { type: 'uint256', name: 'deadline' },
+    ],
+  },
+  domain: domain(verifyingContract, chainId),
+  primaryType: 'TransferThrough',
+  message: {
+    from, tokenOwners, srcs, dests, wads, nonce, deadline,
+  },
+});
+
+// only what the hub's types need: atomic values, strings, and arrays of
+// atomic values
+const encodeValue = (type, value, web3) => {
+  if (type === 'string') return ethUtil.sha3(value);
+  if (type.endsWith('[]')) {
+    const element = type.slice(0, -2);
+    return ethUtil.sha3(Buffer.concat(value.map(v => encodeValue(element, v, web3))));
+  }
+  return ethUtil.toBuffer(web3.eth.abi.encodeParameter(type, value.toString()));
+};
+
+const hashStruct = (typedData, primaryType, data, web3) => {
+  const fields = typedData.types[primaryType];
+  const type = `${primaryType}(${fields.map(f => `${f.type} ${f.name}`).join(',')})`;
+  return ethUtil.sha3(Buffer.concat([ethUtil.sha3(type)]
+    .concat(fields.map(f => encodeValue(f.type, data[f.name], web3)))));
+};
+
+const hashTypedData = (typedData, web3) => ethUtil.sha3(Buffer.concat([
+  Buffer.from('1901', 'hex'),
+  hashStruct(typedData, 'EIP712Domain', typedData.domain, web3),
+  hashStruct(typedData, typedData.primaryType, typedData.message, web3),
+]));
+
+// the v, r and s the hub's ...BySig methods take
+const signTypedDataWithKey = (typedData, privateKey, web3) => {
+  const { v, r, s } = ethUtil.ecsign(hashTypedData(typedData, web3), ethUtil.toBuffer(privateKey));
+  return { v, r: ethUtil.bufferToHex(r), s: ethUtil.bufferToHex(s) };
+};
+
+// the same, from the 65 byte signature eth_signTypedData returns
+const splitSignature = (signature) => {
+  const { v, r, s } = ethUtil.fromRpcSig(signature);
+  return { v, r: ethUtil.bufferToHex(r), s: ethUtil.bufferToHex(s) };
+};
+
+module.exports = {
+  formatSignupData,
+  formatTrustData,
+  formatTransferThroughData,
+  hashTypedData,
+  signTypedDataWithKey,
+  splitSignature,
+};
@@ -10,13 +10,47 @@ const inflate = (init, inf, div, periods) => {
   return (init.mul(q)).div(d);
 };
 
+// what is left of init after periods of demurrage, the inverse of inflate
+const deflate = (init, inf, div, periods) => {
+  const q = inf.pow(bn(periods));
+  const d = div.pow(bn(periods));
+  return (init.mul(d)).div(q);
+};
+
 const near = (num, goal, onePayout) => {
   return num.eq(goal) || num.eq(goal.sub(onePayout)) || num.eq(goal.add(onePayout));
 };
 
+// The hub compounds in fixed point, rounding every multiplication, so it can
+// be off from the exact inflate above by a tiny fraction of the result
+const nearCompounded = (num, goal, precision = bn(10).pow(bn(15))) => num.sub(goal).abs()
+  .mul(precision).lte(goal);
+
+// Hub.rpow and Hub.issuanceStep, rounding where the hub rounds, so payouts
+// can be compared to the last unit
+const WAD = bn(10).pow(bn(18));
+const wmul = (x, y) => x.mul(y).add(WAD.div(bn(2))).div(WAD);
+
+const rpow = (base, n) => {
+  let x = base;
+  let m = bn(n);
+  let z = m.isOdd() ? x : WAD;
+  for (m = m.div(bn(2)); !m.isZero(); m = m.div(bn(2))) {
+    x = wmul(x, x);
+    if (m.isOdd()) z = wmul(z, x);
+  }
+  return z;
+};
+
+const issuanceStep = (init, inf, div, periods) => init
+  .mul(rpow(inf.mul(WAD).div(div), periods)).div(WAD);
+
 const periodsLastTouched = (clock, hubDeploy, period) => clock.sub(hubDeploy).div(period);
 
-const ubiPayout = (rate, clock, time, offset, inf, div, period, hubDeploy) => {
+// rate is what the token was issuing when it was last touched, init is the
+// hub's initialIssuance, which it is when the token hasn't been updated since
+// the first period
+const ubiPayout = (rate, clock, time, offset, inf, div, period, hubDeploy, init = rate) => {
   let payout = bn(0);
   let c = clock;
   let o = offset;
@@ -27,17 +61,25 @@ const ubiPayout = (rate, clock, time, offset, inf, div, period, hubDeploy) => {
     c = c.add(o);
     o = period;
     p = p.add(bn(1));
-    r = inflate(rate, inf, div, p);
+    r = issuanceStep(init, inf, div, p);
   }
   const timePassed = bn(time).sub(c);
   payout = payout.add(timePassed.mul(r));
   return payout;
 };
 
+// ubiPayout for a hub in demurrage mode, where the rate never changes
+const demurragePayout = (rate, clock, time) => bn(time).sub(clock).mul(rate);
+
 module.exports = {
   convertToBaseUnit,
   inflate,
+  deflate,
+  rpow,
+  issuanceStep,
   bn,
   ubiPayout,
+  demurragePayout,
   near,
+  nearCompounded,
 };
@@ -0,0 +1,52 @@
+const { signTypedData } = require('./signTypedData');
+const { splitSignature } = require('./hubTypedData');
+
+const formatPermitData = (owner, spender, value, nonce, deadline, name, verifyingContract,
+  chainId) => ({
+  types: {
+    EIP712Domain: [
+      { type: 'string', name: 'name' },
+      { type: 'string', name: 'version' },
+      { type: 'uint256', name: 'chainId' },
+      { type: 'address', name: 'verifyingContract' },
+    ],
+    Permit: [
+      { type: 'address', name: 'owner' },
+      { type: 'address', name: 'spender' },
+      { type: 'uint256', name: 'value' },
+      { type: 'uint256', name: 'nonce' },
+      { type: 'uint256', name: 'deadline' },
+    ],
+  },
+  domain: {
+    name,
+    version: '1',
+    chainId,
+    verifyingContract,
+  },
+  primaryType: 'Permit',
+  message: {
+    owner, spender, value, nonce, deadline,
+  },
+});
+
+// the chain id the token's hub was deployed with
+const hubChainId = async (token, web3) => web3.eth.abi.decodeParameter('uint256',
+  await web3.eth.call({
+    to: await token.hub(),
+    data: web3.eth.abi.encodeFunctionSignature('chainId()'),
+  }));
+
+// resolves to the v, r and s Token.permit takes, signed by owner with
+// eth_signTypedData for their next nonce
+const signPermit = async (token, owner, spender, value, deadline, web3) => {
+  const nonce = (await token.nonces(owner)).toString();
+  const typedData = formatPermitData(owner, spender, value.toString(), nonce,
+    deadline.toString(), await token.name(), token.address, await hubChainId(token, web3));
+  return splitSignature(await signTypedData(owner, typedData, web3));
+};
+
+module.exports = {
+  formatPermitData,
+  signPermit,
+};
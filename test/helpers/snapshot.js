@@ -0,0 +1,24 @@
+const send = (method, params = []) => new Promise((resolve, reject) => {
+  web3.currentProvider.send({
+    jsonrpc: '2.0',
+    method,
+    params,
+    id: new Date().getTime(),
+  }, (err, response) => {
+    if (err) {
+      return reject(err);
+    }
+    return resolve(response.result);
+  });
+});
+
+// Everything mined after a snapshot is dropped when reverting to it, which is
+// how we fake a reorg on ganache
+const takeSnapshot = async () => send('evm_snapshot');
+
+const revertToSnapshot = async id => send('evm_revert', [id]);
+
+module.exports = {
+  takeSnapshot,
+  revertToSnapshot,
+};
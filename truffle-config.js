@@ -42,4 +42,15 @@ module.exports = {
       gasPrice: 1000000000
     },
   },
+  compilers: {
+    solc: {
+      settings: {
+        // the hub is close to the contract size limit without this
+        optimizer: {
+          enabled: true,
+          runs: 200,
+        },
+      },
+    },
+  },
 };